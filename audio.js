@@ -0,0 +1,272 @@
+// audio.js
+/*
+ * Procedurally synthesized sound effects and music.
+ *
+ * Nothing is loaded from files: every effect is built from
+ * oscillators and filtered noise when it plays, and the background
+ * track is a short pattern scheduled a little ahead of the audio
+ * clock.  All sound goes through three gain nodes (music and
+ * effects feeding a master), whose levels are the volumes the
+ * player sets.
+ *
+ * Browsers only allow audio to start after a user gesture, so the
+ * AudioContext is created by unlock(), which the page calls on the
+ * first key press or click.  Until then, and in browsers without
+ * the Web Audio API, every method quietly does nothing.  In the
+ * browser the module is exposed as window.PlatformerAudio; under
+ * CommonJS it is exported.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PlatformerAudio = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  /**
+   * Effect recipes by simulation event type.  Each is a list of
+   * parts played together: tones sweep their frequency from `from`
+   * to `to` Hz, noise bursts pass through a filter.  Times are in
+   * seconds and volume is relative to the effects channel.
+   */
+  const EFFECTS = {
+    jump: [{ wave: 'square', from: 280, to: 560, duration: 0.12, volume: 0.25 }],
+    wallJump: [{ wave: 'triangle', from: 380, to: 820, duration: 0.14, volume: 0.4 }],
+    slide: [{ noise: 'lowpass', freq: 900, duration: 0.25, volume: 0.35 }],
+    dive: [{ wave: 'sawtooth', from: 520, to: 140, duration: 0.16, volume: 0.2 }],
+    grab: [{ noise: 'bandpass', freq: 2200, duration: 0.05, volume: 0.3 }],
+    climb: [{ wave: 'triangle', from: 220, to: 440, duration: 0.12, volume: 0.25 }],
+    bounce: [{ wave: 'sine', from: 180, to: 720, duration: 0.22, volume: 0.5 }],
+    break: [
+      { noise: 'bandpass', freq: 1400, duration: 0.18, volume: 0.6 },
+      { wave: 'square', from: 160, to: 60, duration: 0.12, volume: 0.15 },
+    ],
+    defeat: [
+      { wave: 'square', from: 240, to: 90, duration: 0.14, volume: 0.3 },
+      { noise: 'lowpass', freq: 1200, duration: 0.12, volume: 0.4 },
+    ],
+    key: [
+      { wave: 'triangle', from: 784, to: 784, duration: 0.06, volume: 0.3 },
+      { wave: 'triangle', from: 1175, to: 1175, duration: 0.16, volume: 0.3, delay: 0.06 },
+    ],
+    door: [
+      { wave: 'square', from: 110, to: 220, duration: 0.2, volume: 0.2 },
+      { noise: 'lowpass', freq: 500, duration: 0.25, volume: 0.35 },
+    ],
+    switch: [{ wave: 'square', from: 660, to: 440, duration: 0.06, volume: 0.25 }],
+    coin: [
+      { wave: 'square', from: 988, to: 988, duration: 0.07, volume: 0.2 },
+      { wave: 'square', from: 1319, to: 1319, duration: 0.18, volume: 0.2, delay: 0.07 },
+    ],
+    checkpoint: [
+      { wave: 'triangle', from: 659, to: 659, duration: 0.08, volume: 0.3 },
+      { wave: 'triangle', from: 880, to: 880, duration: 0.2, volume: 0.3, delay: 0.08 },
+    ],
+    death: [
+      { wave: 'sawtooth', from: 420, to: 55, duration: 0.45, volume: 0.3 },
+      { noise: 'lowpass', freq: 600, duration: 0.3, volume: 0.4 },
+    ],
+    win: [523, 659, 784, 1047].map((freq, i) => ({
+      wave: 'triangle',
+      from: freq,
+      to: freq,
+      duration: i === 3 ? 0.4 : 0.12,
+      volume: 0.35,
+      delay: i * 0.1,
+    })),
+  };
+
+  /**
+   * The background loop: 16 steps per bar at TEMPO beats per
+   * minute (four steps to a beat).  Each entry is a MIDI note
+   * number or null for a rest; the bass plays on every other step,
+   * so it has half as many notes.
+   */
+  const TEMPO = 128;
+  const MELODY = [69, null, 72, 76, null, 74, 72, null, 69, null, 67, 69, null, 72, null, null];
+  const BASS = [45, 45, 48, 43, 45, 45, 41, 43];
+
+  const DEFAULT_VOLUMES = { master: 0.8, music: 0.4, sfx: 0.8 };
+
+  function midiToFreq(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+  }
+
+  /**
+   * Owns the AudioContext, the channel gains and the music
+   * scheduler.
+   */
+  class AudioSystem {
+    constructor() {
+      this.context = null;
+      this.gains = null;
+      this.volumes = Object.assign({}, DEFAULT_VOLUMES);
+      this.paused = false;
+      this.noiseBuffer = null;
+      // music scheduler: time of the next step and its index
+      this.nextStepTime = 0;
+      this.stepIndex = 0;
+      // how far ahead of the audio clock notes are scheduled
+      this.lookAhead = 0.2;
+    }
+
+    /**
+     * Create the AudioContext.  Must be called from a user gesture;
+     * later calls do nothing.  Returns false when Web Audio is not
+     * available.
+     */
+    unlock() {
+      if (this.context) return true;
+      const AudioContextClass = typeof AudioContext !== 'undefined' ? AudioContext : null;
+      if (!AudioContextClass) return false;
+      const context = new AudioContextClass();
+      this.context = context;
+      this.gains = {
+        master: context.createGain(),
+        music: context.createGain(),
+        sfx: context.createGain(),
+      };
+      this.gains.music.connect(this.gains.master);
+      this.gains.sfx.connect(this.gains.master);
+      this.gains.master.connect(context.destination);
+      this.applyVolumes();
+      // one second of white noise, reused by every noise burst
+      this.noiseBuffer = context.createBuffer(1, context.sampleRate, context.sampleRate);
+      const data = this.noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+      this.nextStepTime = context.currentTime + 0.1;
+      if (this.paused) context.suspend();
+      return true;
+    }
+
+    /**
+     * Set the volume (0..1) of 'master', 'music' or 'sfx'.
+     */
+    setVolume(channel, value) {
+      this.volumes[channel] = Math.max(0, Math.min(1, value));
+      this.applyVolumes();
+    }
+
+    /**
+     * Use saved volumes, keeping the defaults for anything missing.
+     */
+    loadVolumes(saved) {
+      this.volumes = Object.assign({}, DEFAULT_VOLUMES, saved || {});
+      this.applyVolumes();
+    }
+
+    applyVolumes() {
+      if (!this.gains) return;
+      for (const channel of Object.keys(this.gains)) {
+        this.gains[channel].gain.value = this.volumes[channel];
+      }
+    }
+
+    /**
+     * Silence everything while the game is paused.  Suspending the
+     * context also stops its clock, so the music carries on from
+     * the same spot on resume.
+     */
+    setPaused(paused) {
+      if (paused === this.paused) return;
+      this.paused = paused;
+      if (!this.context) return;
+      if (paused) {
+        this.context.suspend();
+      } else {
+        this.context.resume();
+      }
+    }
+
+    /**
+     * Play the effect for a simulation event type.  Unknown types
+     * are ignored.
+     */
+    play(type) {
+      const recipe = EFFECTS[type];
+      if (!this.context || this.paused || !recipe) return;
+      const start = this.context.currentTime;
+      for (const part of recipe) {
+        if (part.noise) {
+          this.noise(part, start + (part.delay || 0));
+        } else {
+          this.tone(part, start + (part.delay || 0), this.gains.sfx);
+        }
+      }
+    }
+
+    /**
+     * Schedule one oscillator with a short attack and exponential
+     * decay.
+     */
+    tone(part, time, destination) {
+      const osc = this.context.createOscillator();
+      const env = this.context.createGain();
+      osc.type = part.wave;
+      osc.frequency.setValueAtTime(part.from, time);
+      if (part.to !== part.from) {
+        osc.frequency.exponentialRampToValueAtTime(part.to, time + part.duration);
+      }
+      env.gain.setValueAtTime(0.0001, time);
+      env.gain.exponentialRampToValueAtTime(part.volume, time + 0.01);
+      env.gain.exponentialRampToValueAtTime(0.0001, time + part.duration);
+      osc.connect(env);
+      env.connect(destination);
+      osc.start(time);
+      osc.stop(time + part.duration + 0.02);
+    }
+
+    /**
+     * Schedule a filtered burst of the shared noise buffer.
+     */
+    noise(part, time) {
+      const source = this.context.createBufferSource();
+      const filter = this.context.createBiquadFilter();
+      const env = this.context.createGain();
+      source.buffer = this.noiseBuffer;
+      filter.type = part.noise;
+      filter.frequency.value = part.freq;
+      env.gain.setValueAtTime(part.volume, time);
+      env.gain.exponentialRampToValueAtTime(0.0001, time + part.duration);
+      source.connect(filter);
+      filter.connect(env);
+      env.connect(this.gains.sfx);
+      source.start(time);
+      source.stop(time + part.duration);
+    }
+
+    /**
+     * Schedule the music steps that fall within the look-ahead
+     * window.  Called every animation frame; the loop repeats
+     * forever.
+     */
+    update() {
+      if (!this.context || this.paused) return;
+      const stepLength = 60 / TEMPO / 4;
+      // after a long stall (hidden tab) skip ahead instead of
+      // playing every missed note at once
+      if (this.nextStepTime < this.context.currentTime) {
+        this.nextStepTime = this.context.currentTime + 0.05;
+      }
+      while (this.nextStepTime < this.context.currentTime + this.lookAhead) {
+        const note = MELODY[this.stepIndex];
+        if (note !== null) {
+          this.musicNote('square', note, stepLength * 0.9, 0.12);
+        }
+        if (this.stepIndex % 2 === 0) {
+          this.musicNote('triangle', BASS[this.stepIndex / 2], stepLength * 1.8, 0.3);
+        }
+        this.nextStepTime += stepLength;
+        this.stepIndex = (this.stepIndex + 1) % MELODY.length;
+      }
+    }
+
+    musicNote(wave, note, duration, volume) {
+      const freq = midiToFreq(note);
+      this.tone({ wave, from: freq, to: freq, duration, volume }, this.nextStepTime, this.gains.music);
+    }
+  }
+
+  return { EFFECTS, DEFAULT_VOLUMES, AudioSystem };
+});
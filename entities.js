@@ -0,0 +1,710 @@
+// entities.js
+/*
+ * Entity registry.
+ *
+ * Entities are the things that move or act in a level beside the
+ * tile map: hazards, enemies, turrets and the projectiles turrets
+ * fire, and the platforms and blocks that move, fall or crumble
+ * under the player.  Each kind is an entity type registered here
+ * with hooks for creating, updating, touching and drawing its
+ * instances; Level keeps the instances and calls the hooks, so a
+ * new kind needs one registerEntity() call and no changes to the
+ * Level class.  An entity type is an object with:
+ *
+ *   type         the name used in level files ("entities" list)
+ *   char         optional map character that places one; Level
+ *                replaces it with empty space when parsing
+ *   name         a short label, used by the editor palette
+ *   description  what the entity does; for new characters this is
+ *                added to the level format's LEGEND
+ *   solid        true when the player stands on and is stopped by
+ *                its instances, as by a solid tile.  An instance can
+ *                switch this off for itself with its own solid field.
+ *   sides        for solid types, which sides block the player, as
+ *                for tiles (all by default)
+ *   restored     true when dying puts its instances back as they
+ *                were at the active checkpoint, like the tiles;
+ *                other entities carry on.  Restored instances must
+ *                never be removed.
+ *   create(level, x, y, props)
+ *                return the fields of a new instance whose tile has
+ *                its top left corner at (x, y) pixels.  props holds
+ *                the entry from the level file, or what charProps
+ *                returns for a map character.
+ *   charProps(level)
+ *                props for an instance placed by its map character
+ *   update(ent, level, dt)
+ *                advance one step; dt as in Player.update()
+ *   touch(hit)   the player's box overlaps the instance; hit is
+ *                { level, player, ent, result }
+ *   contact(hit) a solid side of the instance stops the player; hit
+ *                is { level, player, ent, side, result }.  Returning
+ *                false lets the player through instead.
+ *   draw(ctx, ent, x, y)
+ *                draw the instance with its box's top left corner
+ *                at (x, y) on screen
+ *
+ * Instances are plain objects so a level can be cloned with a
+ * shallow copy of each: type, x, y, width, height, prevX and prevY
+ * (the position at the start of the step, for interpolation),
+ * solid and removed, plus whatever create() returns.  Setting
+ * removed drops an instance at the end of the step.  Anything
+ * random must come from level.random so seeded runs stay
+ * reproducible.  Hooks other than create are optional.
+ *
+ * Switches are linked to what they control by channel names: a
+ * lever, pressure plate or timed switch turns its channel on and
+ * off (Level.setChannel) and gates, bridges, hazards and platforms
+ * given the same channel react to it.  Entities placed by map
+ * characters use DEFAULT_CHANNEL; hazards and platforms placed that
+ * way have none and always move.
+ *
+ * The module has no DOM dependency; drawing only uses the context
+ * it is given.  In the browser it is exposed as
+ * window.PlatformerEntities and expects levelformat.js to be loaded
+ * first; under CommonJS it requires levelformat.js itself.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./levelformat.js'));
+  } else {
+    root.PlatformerEntities = factory(root.PlatformerLevelFormat);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LevelFormat) {
+  const SIDES = ['top', 'bottom', 'left', 'right'];
+  const DEFAULT_CHANNEL = 'default';
+
+  /**
+   * Registered entity types by type name, and by map character.
+   */
+  const ENTITY_TYPES = {};
+  const CHARS = {};
+
+  /**
+   * Add an entity type, or replace the one registered under its
+   * name.  Returns the stored type.
+   */
+  function registerEntity(def) {
+    if (typeof def.type !== 'string' || typeof def.create !== 'function') {
+      throw new Error('An entity type needs a "type" name and a create() function.');
+    }
+    const sides = {};
+    for (const side of SIDES) {
+      sides[side] = !!def.solid && (!def.sides || !!def.sides[side]);
+    }
+    const entityType = Object.assign({ name: def.type, solid: false, restored: false }, def, { sides });
+    ENTITY_TYPES[def.type] = entityType;
+    if (def.char) {
+      CHARS[def.char] = entityType;
+      if (def.description) LevelFormat.LEGEND[def.char] = def.description;
+    }
+    return entityType;
+  }
+
+  /**
+   * The entity type registered under a name, or null.
+   */
+  function getEntityType(type) {
+    return ENTITY_TYPES[type] || null;
+  }
+
+  /**
+   * The entity type placed by a map character, or null.
+   */
+  function typeForChar(ch) {
+    return CHARS[ch] || null;
+  }
+
+  /**
+   * The channel named in an entity's props, as a string, or the
+   * given fallback when there is none.
+   */
+  function channelOf(props, fallback = DEFAULT_CHANNEL) {
+    return props.channel === undefined ? fallback : String(props.channel);
+  }
+
+  /**
+   * True when an entity linked to a channel should hold still
+   * because the channel is off.  Unlinked entities always move.
+   */
+  function waiting(ent, level) {
+    return ent.channel !== null && !level.channelOn(ent.channel);
+  }
+
+  /**
+   * True when the boxes of two entities (or an entity and the
+   * player) overlap.
+   */
+  function overlaps(a, b) {
+    return a.x < b.x + b.width && a.x + a.width > b.x && a.y < b.y + b.height && a.y + a.height > b.y;
+  }
+
+  // moving hazard: patrols range pixels either side of where it
+  // started and bounces off its extents
+  registerEntity({
+    type: 'hazard',
+    char: 'H',
+    name: 'Hazard',
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      return {
+        baseX: x,
+        width: ts,
+        height: ts,
+        range: props.range * ts,
+        speed: props.speed,
+        dir: props.dir || 1,
+        // when linked, it waits for its channel to come on
+        channel: channelOf(props, null),
+      };
+    },
+    // the map character gets the default range and a random speed
+    charProps(level) {
+      const speed = 2 + level.random() * 1;
+      const dir = level.random() < 0.5 ? -1 : 1;
+      return { range: 3, speed, dir };
+    },
+    update(ent, level, dt) {
+      if (waiting(ent, level)) return;
+      ent.x += ent.dir * ent.speed * dt;
+      if (ent.x < ent.baseX - ent.range) {
+        ent.x = ent.baseX - ent.range;
+        ent.dir *= -1;
+      } else if (ent.x > ent.baseX + ent.range) {
+        ent.x = ent.baseX + ent.range;
+        ent.dir *= -1;
+      }
+    },
+    touch(hit) {
+      hit.result.die = true;
+    },
+    draw(ctx, ent, x, y) {
+      ctx.fillStyle = '#e22';
+      ctx.fillRect(x + 8, y + 8, ent.width - 16, ent.height - 16);
+    },
+  });
+
+  // walking enemy: falls until it stands on something, then walks
+  // and turns round at walls and ledges.  Landing on it or diving
+  // into it defeats it; any other touch is fatal.
+  registerEntity({
+    type: 'enemy',
+    char: 'E',
+    name: 'Enemy',
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      const size = ts * 0.75;
+      return {
+        x: x + (ts - size) / 2,
+        y: y + ts - size,
+        width: size,
+        height: size,
+        speed: props.speed || 1.5,
+        dir: props.dir || -1,
+        velY: 0,
+      };
+    },
+    charProps() {
+      return {};
+    },
+    update(ent, level, dt) {
+      const ts = level.tileSize;
+      const solid = (tx, ty) => level.isSolid(level.tileAt(tx, ty));
+      ent.velY = Math.min(10, ent.velY + 0.45 * dt);
+      ent.y += ent.velY * dt;
+      const below = Math.floor((ent.y + ent.height) / ts);
+      let onGround = false;
+      for (let tx = Math.floor(ent.x / ts); tx <= Math.floor((ent.x + ent.width - 1) / ts); tx++) {
+        if (solid(tx, below)) onGround = true;
+      }
+      if (onGround) {
+        ent.y = below * ts - ent.height;
+        ent.velY = 0;
+      } else {
+        if (ent.y >= level.rows * ts) ent.removed = true;
+        return;
+      }
+      const nextX = ent.x + ent.dir * ent.speed * dt;
+      const front = Math.floor((ent.dir > 0 ? nextX + ent.width - 1 : nextX) / ts);
+      const row = Math.floor((ent.y + ent.height - 1) / ts);
+      if (solid(front, row) || !solid(front, row + 1)) {
+        ent.dir = -ent.dir;
+      } else {
+        ent.x = nextX;
+      }
+      // a conveyor underfoot carries it along, up to a wall
+      const conveyor = level.materialAt(Math.floor((ent.x + ent.width / 2) / ts), below).conveyor * dt;
+      const pushed = ent.x + conveyor;
+      if (conveyor !== 0 && !solid(Math.floor((conveyor > 0 ? pushed + ent.width - 1 : pushed) / ts), row)) {
+        ent.x = pushed;
+      }
+    },
+    touch(hit) {
+      const { player, ent, result } = hit;
+      // the player's feet were above the enemy when the step began
+      const fromAbove = player.y + player.height <= ent.prevY;
+      if (fromAbove || player.dive) {
+        ent.removed = true;
+        result.defeated.push(ent);
+        if (fromAbove) result.stomp = true;
+      } else {
+        result.die = true;
+      }
+    },
+    draw(ctx, ent, x, y) {
+      ctx.fillStyle = '#a3c';
+      ctx.fillRect(x, y + ent.height * 0.2, ent.width, ent.height * 0.8);
+      ctx.fillRect(x + ent.width * 0.1, y, ent.width * 0.8, ent.height * 0.2);
+      // eyes look the way it walks
+      ctx.fillStyle = '#fff';
+      const eyeX = x + ent.width / 2 + ent.dir * ent.width * 0.15;
+      ctx.fillRect(eyeX - 7, y + ent.height * 0.3, 5, 6);
+      ctx.fillRect(eyeX + 2, y + ent.height * 0.3, 5, 6);
+    },
+  });
+
+  // turret: fires a projectile every interval seconds in the
+  // direction it faces.  Touching it is fatal.
+  registerEntity({
+    type: 'turret',
+    char: 'T',
+    name: 'Turret',
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      return {
+        width: ts,
+        height: ts,
+        dir: props.dir || -1,
+        // in steps of 1/60th of a second
+        interval: (props.interval || 2) * 60,
+        speed: props.speed || 4,
+        timer: 0,
+      };
+    },
+    charProps() {
+      return {};
+    },
+    update(ent, level, dt) {
+      ent.timer += dt;
+      if (ent.timer < ent.interval) return;
+      ent.timer -= ent.interval;
+      const size = 10;
+      const x = ent.dir > 0 ? ent.x + ent.width : ent.x - size;
+      level.spawn('projectile', x, ent.y + ent.height * 0.35, { dir: ent.dir, speed: ent.speed, size });
+    },
+    touch(hit) {
+      hit.result.die = true;
+    },
+    draw(ctx, ent, x, y) {
+      ctx.fillStyle = '#777';
+      ctx.fillRect(x + 4, y + ent.height * 0.3, ent.width - 8, ent.height * 0.7);
+      ctx.fillStyle = '#555';
+      const barrelX = ent.dir > 0 ? x + ent.width / 2 : x;
+      ctx.fillRect(barrelX, y + ent.height * 0.35, ent.width / 2, 10);
+    },
+  });
+
+  // turret shot: flies straight until it hits a solid tile or
+  // leaves the level.  Touching it is fatal.
+  registerEntity({
+    type: 'projectile',
+    create(level, x, y, props) {
+      return { width: props.size, height: props.size, dir: props.dir, speed: props.speed };
+    },
+    update(ent, level, dt) {
+      const ts = level.tileSize;
+      ent.x += ent.dir * ent.speed * dt;
+      const tx = Math.floor((ent.x + ent.width / 2) / ts);
+      const ty = Math.floor((ent.y + ent.height / 2) / ts);
+      if (level.isSolid(level.tileAt(tx, ty)) || ent.x + ent.width < 0 || ent.x > level.cols * ts) {
+        ent.removed = true;
+      }
+    },
+    touch(hit) {
+      hit.result.die = true;
+    },
+    draw(ctx, ent, x, y) {
+      ctx.fillStyle = '#fa0';
+      ctx.beginPath();
+      ctx.arc(x + ent.width / 2, y + ent.height / 2, ent.width / 2, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  });
+
+  // moving platform: travels from its tile through each waypoint
+  // of path (tile offsets from its tile) and back to its tile, over
+  // and over.  The player rides it and can wall jump off its sides.
+  // Adjacent map characters move in step, so "MM" rides as one
+  // platform two tiles wide.
+  registerEntity({
+    type: 'platform',
+    char: 'M',
+    name: 'Platform',
+    solid: true,
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      const path = props.path || [];
+      return {
+        width: (props.width || 1) * ts,
+        height: ts / 2,
+        speed: props.speed || 1.5,
+        points: [[x, y]].concat(path.map(([dx, dy]) => [x + dx * ts, y + dy * ts])),
+        next: path.length > 0 ? 1 : 0,
+        channel: channelOf(props, null),
+      };
+    },
+    // the map character goes three tiles right and back
+    charProps() {
+      return { path: [[3, 0]] };
+    },
+    update(ent, level, dt) {
+      if (waiting(ent, level)) return;
+      let step = ent.speed * dt;
+      // reaching a waypoint part way through the step carries on
+      // towards the next one
+      while (step > 0 && ent.points.length > 1) {
+        const [tx, ty] = ent.points[ent.next];
+        const dist = Math.hypot(tx - ent.x, ty - ent.y);
+        if (dist > step) {
+          ent.x += ((tx - ent.x) / dist) * step;
+          ent.y += ((ty - ent.y) / dist) * step;
+          return;
+        }
+        ent.x = tx;
+        ent.y = ty;
+        ent.next = (ent.next + 1) % ent.points.length;
+        step -= dist;
+      }
+    },
+    draw(ctx, ent, x, y) {
+      ctx.fillStyle = '#9ab';
+      ctx.fillRect(x, y, ent.width, ent.height);
+      ctx.fillStyle = '#678';
+      ctx.fillRect(x, y + ent.height - 4, ent.width, 4);
+    },
+  });
+
+  // the same platform going three tiles up and back
+  registerEntity(
+    Object.assign({}, getEntityType('platform'), {
+      type: 'lift',
+      char: 'V',
+      name: 'Lift',
+      charProps() {
+        return { path: [[0, -3]] };
+      },
+    }),
+  );
+
+  // falling platform: solid on top only.  Standing on it starts a
+  // short wobble after which it drops out of the level; it comes
+  // back to its tile a few seconds later.
+  registerEntity({
+    type: 'fallingPlatform',
+    char: 'D',
+    name: 'Falling',
+    solid: true,
+    sides: { top: true },
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      return {
+        baseX: x,
+        baseY: y,
+        width: (props.width || 1) * ts,
+        height: ts / 2,
+        // in steps of 1/60th of a second
+        delay: (props.delay === undefined ? 0.5 : props.delay) * 60,
+        respawn: (props.respawn || 3) * 60,
+        state: 'idle',
+        timer: 0,
+        velY: 0,
+      };
+    },
+    charProps() {
+      return {};
+    },
+    contact(hit) {
+      if (hit.side === 'top' && hit.ent.state === 'idle') hit.ent.state = 'shaking';
+    },
+    update(ent, level, dt) {
+      if (ent.state === 'shaking') {
+        ent.timer += dt;
+        if (ent.timer >= ent.delay) {
+          ent.state = 'falling';
+          ent.timer = 0;
+        }
+      } else if (ent.state === 'falling') {
+        ent.velY = Math.min(12, ent.velY + 0.3 * dt);
+        ent.y += ent.velY * dt;
+        // once out of the level, wait and then reappear
+        if (ent.y >= level.rows * level.tileSize) {
+          ent.timer += dt;
+          if (ent.timer >= ent.respawn) {
+            ent.x = ent.prevX = ent.baseX;
+            ent.y = ent.prevY = ent.baseY;
+            ent.state = 'idle';
+            ent.timer = 0;
+            ent.velY = 0;
+          }
+        }
+      }
+    },
+    draw(ctx, ent, x, y) {
+      const wobble = ent.state === 'shaking' ? Math.sin(ent.timer * 1.5) * 2 : 0;
+      ctx.fillStyle = '#b97';
+      ctx.fillRect(x + wobble, y, ent.width, ent.height);
+      ctx.fillStyle = '#864';
+      ctx.fillRect(x + wobble, y + ent.height - 4, ent.width, 4);
+    },
+  });
+
+  // crumbling block: a solid block that breaks up shortly after it
+  // is stood on and reappears a few seconds later
+  registerEntity({
+    type: 'crumblingBlock',
+    char: 'U',
+    name: 'Crumbling',
+    solid: true,
+    create(level, x, y, props) {
+      const ts = level.tileSize;
+      return {
+        width: ts,
+        height: ts,
+        // in steps of 1/60th of a second
+        delay: (props.delay === undefined ? 0.5 : props.delay) * 60,
+        respawn: (props.respawn || 3) * 60,
+        state: 'whole',
+        timer: 0,
+      };
+    },
+    charProps() {
+      return {};
+    },
+    contact(hit) {
+      if (hit.side === 'top' && hit.ent.state === 'whole') hit.ent.state = 'crumbling';
+    },
+    update(ent, level, dt) {
+      if (ent.state === 'whole') return;
+      ent.timer += dt;
+      if (ent.state === 'crumbling' && ent.timer >= ent.delay) {
+        ent.state = 'gone';
+        ent.solid = false;
+        ent.timer = 0;
+      } else if (ent.state === 'gone' && ent.timer >= ent.respawn) {
+        ent.state = 'whole';
+        ent.solid = true;
+        ent.timer = 0;
+      }
+    },
+    draw(ctx, ent, x, y) {
+      if (ent.state === 'gone') {
+        ctx.strokeStyle = 'rgba(200, 170, 120, 0.3)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(x + 0.5, y + 0.5, ent.width - 1, ent.height - 1);
+        return;
+      }
+      ctx.fillStyle = '#a8875a';
+      ctx.fillRect(x, y, ent.width, ent.height);
+      // cracks spread while it crumbles
+      ctx.strokeStyle = '#5a4630';
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.moveTo(x + ent.width * 0.3, y);
+      ctx.lineTo(x + ent.width * 0.45, y + ent.height * 0.4);
+      ctx.lineTo(x + ent.width * 0.35, y + ent.height * 0.7);
+      if (ent.state === 'crumbling') {
+        ctx.moveTo(x + ent.width * 0.45, y + ent.height * 0.4);
+        ctx.lineTo(x + ent.width * 0.8, y + ent.height * 0.55);
+        ctx.moveTo(x + ent.width * 0.35, y + ent.height * 0.7);
+        ctx.lineTo(x + ent.width * 0.5, y + ent.height);
+      }
+      ctx.stroke();
+    },
+  });
+
+  /**
+   * Fields shared by the switches.  held says whether the player
+   * was on the switch during the last step; touch() only marks the
+   * current one, and update() turns that into presses and releases
+   * a step later.
+   */
+  function createSwitch(level, x, y, props) {
+    const ts = level.tileSize;
+    return {
+      y: y + ts * 0.75,
+      width: ts,
+      height: ts * 0.25,
+      channel: channelOf(props),
+      touching: false,
+      held: false,
+      on: false,
+    };
+  }
+
+  function touchSwitch(hit) {
+    hit.ent.touching = true;
+  }
+
+  /**
+   * Mark the start of a switch's step: whether it is pressed now
+   * and whether that is new since the last step.
+   */
+  function pressSwitch(ent) {
+    const pressed = ent.touching && !ent.held;
+    ent.held = ent.touching;
+    ent.touching = false;
+    return pressed;
+  }
+
+  function drawSwitchBase(ctx, ent, x, y) {
+    ctx.fillStyle = '#555';
+    ctx.fillRect(x + ent.width * 0.1, y + ent.height * 0.5, ent.width * 0.8, ent.height * 0.5);
+  }
+
+  // lever: flips its channel each time the player walks into it
+  registerEntity({
+    type: 'lever',
+    char: 'L',
+    name: 'Lever',
+    restored: true,
+    create: createSwitch,
+    charProps() {
+      return {};
+    },
+    touch: touchSwitch,
+    update(ent, level) {
+      if (pressSwitch(ent)) level.setChannel(ent.channel, !level.channelOn(ent.channel));
+      ent.on = level.channelOn(ent.channel);
+    },
+    draw(ctx, ent, x, y) {
+      drawSwitchBase(ctx, ent, x, y);
+      // the handle leans right while the channel is on
+      const baseX = x + ent.width / 2;
+      const lean = ent.on ? 1 : -1;
+      ctx.strokeStyle = '#ccc';
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.moveTo(baseX, y + ent.height * 0.5);
+      ctx.lineTo(baseX + lean * ent.width * 0.25, y - ent.width * 0.35);
+      ctx.stroke();
+      ctx.fillStyle = ent.on ? '#4c4' : '#c44';
+      ctx.beginPath();
+      ctx.arc(baseX + lean * ent.width * 0.25, y - ent.width * 0.35, 4, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  });
+
+  // pressure plate: its channel is on while the player stands on it
+  registerEntity({
+    type: 'pressurePlate',
+    char: '_',
+    name: 'Plate',
+    restored: true,
+    create: createSwitch,
+    charProps() {
+      return {};
+    },
+    touch: touchSwitch,
+    update(ent, level) {
+      pressSwitch(ent);
+      if (ent.held !== ent.on) {
+        ent.on = ent.held;
+        level.setChannel(ent.channel, ent.on);
+      }
+    },
+    draw(ctx, ent, x, y) {
+      drawSwitchBase(ctx, ent, x, y);
+      ctx.fillStyle = ent.on ? '#4c4' : '#c93';
+      const top = ent.on ? y + ent.height * 0.35 : y;
+      ctx.fillRect(x + ent.width * 0.15, top, ent.width * 0.7, ent.height * 0.5 - (top - y));
+    },
+  });
+
+  // timed switch: turns its channel on when touched and back off
+  // once duration seconds have passed since the player left it
+  registerEntity({
+    type: 'timedSwitch',
+    char: 'W',
+    name: 'Timer',
+    restored: true,
+    create(level, x, y, props) {
+      return Object.assign(createSwitch(level, x, y, props), {
+        // in steps of 1/60th of a second
+        duration: (props.duration || 5) * 60,
+        timer: 0,
+      });
+    },
+    charProps() {
+      return {};
+    },
+    touch: touchSwitch,
+    update(ent, level, dt) {
+      pressSwitch(ent);
+      if (ent.held) {
+        ent.timer = ent.duration;
+      } else if (ent.timer > 0) {
+        ent.timer = Math.max(0, ent.timer - dt);
+      }
+      if (ent.timer > 0 !== ent.on) {
+        ent.on = ent.timer > 0;
+        level.setChannel(ent.channel, ent.on);
+      }
+    },
+    draw(ctx, ent, x, y) {
+      drawSwitchBase(ctx, ent, x, y);
+      // the button empties as the countdown runs out
+      const share = ent.timer / ent.duration;
+      ctx.fillStyle = '#336';
+      ctx.fillRect(x + ent.width * 0.25, y, ent.width * 0.5, ent.height * 0.5);
+      ctx.fillStyle = '#6af';
+      ctx.fillRect(x + ent.width * 0.25, y, ent.width * 0.5 * share, ent.height * 0.5);
+    },
+  });
+
+  /**
+   * Register a block that is solid or not depending on its
+   * channel: solidWhenOn false makes a gate that a switch clears,
+   * true a bridge that a switch puts in place.
+   */
+  function registerSwitchBlock(type, char, name, solidWhenOn) {
+    registerEntity({
+      type,
+      char,
+      name,
+      solid: true,
+      restored: true,
+      create(level, x, y, props) {
+        const ts = level.tileSize;
+        return { width: ts, height: ts, channel: channelOf(props), solid: !solidWhenOn };
+      },
+      charProps() {
+        return {};
+      },
+      update(ent, level) {
+        ent.solid = level.channelOn(ent.channel) === solidWhenOn;
+      },
+      draw(ctx, ent, x, y) {
+        const color = solidWhenOn ? '#5b8' : '#b85';
+        if (ent.solid) {
+          ctx.fillStyle = color;
+          ctx.fillRect(x, y, ent.width, ent.height);
+          ctx.strokeStyle = 'rgba(0, 0, 0, 0.35)';
+          ctx.lineWidth = 2;
+          ctx.strokeRect(x + 4, y + 4, ent.width - 8, ent.height - 8);
+        } else {
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 1;
+          ctx.setLineDash([4, 4]);
+          ctx.strokeRect(x + 0.5, y + 0.5, ent.width - 1, ent.height - 1);
+          ctx.setLineDash([]);
+        }
+      },
+    });
+  }
+
+  registerSwitchBlock('gate', 'O', 'Gate', false);
+  registerSwitchBlock('bridge', 'Q', 'Bridge', true);
+
+  return { SIDES, DEFAULT_CHANNEL, ENTITY_TYPES, registerEntity, getEntityType, typeForChar, overlaps };
+});
@@ -0,0 +1,566 @@
+// generator.js
+/*
+ * Seeded level generator.
+ *
+ * Levels are assembled left to right out of chunks (runs with
+ * spikes, spike or bottomless pits, stairs, bounce pads, wall-jump
+ * shafts, slide tunnels, dive-break floors and platform hops), with
+ * checkpoints between them on longer levels.  A seed and a
+ * difficulty between 0 and 1 fully determine the layout: the
+ * difficulty picks how many chunks are used, which kinds are
+ * allowed and how demanding each one is.
+ *
+ * Every candidate layout is checked by a reachability search that
+ * steps the real Player physics from sim.js, so jump height, slide
+ * and wall-jump limits always match the game.  Layouts the search
+ * cannot finish are rejected and rebuilt from the next seed.
+ *
+ * In the browser the module is exposed as window.PlatformerGenerator
+ * and expects sim.js to be loaded first; under CommonJS it requires
+ * sim.js itself.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./sim.js'));
+  } else {
+    root.PlatformerGenerator = factory(root.PlatformerSim);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Sim) {
+  const { createRng, packInput, encodeFrames, InputState, Simulation } = Sim;
+
+  // generated levels are one screen tall; width grows with difficulty
+  const ROWS = 12;
+  // highest and lowest rows the ground may sit on
+  const MIN_FLOOR = 4;
+  const MAX_FLOOR = ROWS - 1;
+  // a checkpoint follows every this many chunks on longer levels
+  const CHECKPOINT_EVERY = 4;
+
+  /**
+   * Column-by-column map builder shared by the chunks.  floor is
+   * the row of the topmost ground tile for the next column; the
+   * player stands in the row above it.  Random helpers draw from
+   * the builder's seeded generator so layouts are reproducible.
+   */
+  class LevelBuilder {
+    constructor(rows, rng, difficulty) {
+      this.rows = rows;
+      this.rng = rng;
+      this.difficulty = difficulty;
+      this.columns = [];
+      this.floor = MAX_FLOOR;
+    }
+
+    get width() {
+      return this.columns.length;
+    }
+
+    /**
+     * Append a column that is empty above floorRow and solid from
+     * floorRow down.  Passing this.rows leaves the column open all
+     * the way down.  Returns the new column's index.
+     */
+    addColumn(floorRow = this.floor) {
+      const column = new Array(this.rows).fill(' ');
+      for (let r = Math.max(0, floorRow); r < this.rows; r++) column[r] = '#';
+      this.columns.push(column);
+      return this.columns.length - 1;
+    }
+
+    set(col, row, ch) {
+      if (row < 0 || row >= this.rows || col < 0 || col >= this.columns.length) return;
+      this.columns[col][row] = ch;
+    }
+
+    /**
+     * Set rows fromRow..toRow (inclusive) of a column.
+     */
+    fill(col, fromRow, toRow, ch) {
+      for (let r = fromRow; r <= toRow; r++) this.set(col, r, ch);
+    }
+
+    /**
+     * Random integer in [min, max].
+     */
+    int(min, max) {
+      return min + Math.floor(this.rng() * (max - min + 1));
+    }
+
+    chance(p) {
+      return this.rng() < p;
+    }
+
+    /**
+     * Convert the columns into the array of row strings used by
+     * Level.
+     */
+    toMap() {
+      const map = [];
+      for (let r = 0; r < this.rows; r++) {
+        map.push(this.columns.map((col) => col[r]).join(''));
+      }
+      return map;
+    }
+  }
+
+  /**
+   * Chunk catalogue.  Each chunk appends its columns to the builder
+   * starting at the current floor and leaves builder.floor at the
+   * height the next chunk should continue from.  minDifficulty
+   * keeps the harder chunks out of early levels and fits() rules
+   * out chunks that would leave the allowed floor range.
+   */
+  const CHUNKS = {
+    // flat ground with isolated spikes to jump and an optional
+    // patrolling hazard on later levels
+    run: {
+      minDifficulty: 0,
+      fits: () => true,
+      build(b) {
+        const d = b.difficulty;
+        const width = b.int(6, 10);
+        const start = b.width;
+        for (let i = 0; i < width; i++) b.addColumn();
+        const f = b.floor;
+        const spikeCount = b.int(d > 0.2 ? 1 : 0, 1 + Math.round(d * 2));
+        let col = start + 2;
+        for (let i = 0; i < spikeCount && col <= start + width - 3; i++) {
+          b.set(col, f - 1, 'S');
+          // later levels use two-tile spikes
+          if (d > 0.5 && b.chance(0.4) && col + 1 <= start + width - 3) {
+            col++;
+            b.set(col, f - 1, 'S');
+          }
+          if (b.chance(0.3)) b.set(col, f - 3, 'C');
+          col += b.int(4, 5);
+        }
+        if (spikeCount === 0 && d > 0.3 && b.chance(0.5)) {
+          b.set(start + Math.floor(width / 2), f - 1, 'H');
+        }
+      },
+    },
+    // spike pit, bottomless on harder levels (the open bottom edge
+    // kills); wide pits get a stepping stone and the far side may
+    // land a tile higher or lower
+    gap: {
+      minDifficulty: 0,
+      fits: () => true,
+      build(b) {
+        const d = b.difficulty;
+        const width = b.int(2, 2 + Math.round(d * 2));
+        const start = b.width;
+        for (let i = 0; i < width; i++) {
+          const col = b.addColumn(b.rows);
+          if (d < 0.5) b.set(col, b.rows - 1, 'S');
+        }
+        if (width >= 4) {
+          b.fill(start + Math.floor(width / 2) - 1, b.floor, b.floor, '#');
+          b.fill(start + Math.floor(width / 2), b.floor, b.floor, '#');
+        }
+        if (b.chance(0.3)) b.set(start + Math.floor(width / 2), b.floor - 3, 'C');
+        const step = b.int(-1, 1);
+        b.floor = Math.max(MIN_FLOOR, Math.min(MAX_FLOOR, b.floor + step));
+      },
+    },
+    // a short staircase up or down
+    stairs: {
+      minDifficulty: 0,
+      fits: () => true,
+      build(b) {
+        let dir = b.chance(0.5) ? -1 : 1;
+        if (b.floor - 1 < MIN_FLOOR) dir = 1;
+        if (b.floor + 1 > MAX_FLOOR) dir = -1;
+        const count = b.int(1, 3);
+        for (let i = 0; i < count; i++) {
+          const next = b.floor + dir;
+          if (next < MIN_FLOOR || next > MAX_FLOOR) break;
+          b.floor = next;
+          b.addColumn();
+          b.addColumn();
+        }
+        if (b.chance(0.4)) b.set(b.width - 1, b.floor - 2, 'C');
+      },
+    },
+    // bounce pad in front of a ledge too high to jump
+    bounce: {
+      minDifficulty: 0.1,
+      fits: (b) => b.floor - 3 >= MIN_FLOOR,
+      build(b) {
+        const f = b.floor;
+        b.addColumn();
+        const pad = b.addColumn();
+        b.set(pad, f - 1, 'B');
+        b.addColumn();
+        b.floor = f - Math.min(b.int(3, 4), f - MIN_FLOOR);
+        const ledge = b.addColumn();
+        if (b.chance(0.5)) b.set(ledge, b.floor - 2, 'C');
+      },
+    },
+    // low corridor under a solid mass; there is no room to jump
+    // inside, so speed has to be carried through (sliding keeps it)
+    tunnel: {
+      minDifficulty: 0.2,
+      fits: (b) => b.floor - 2 >= 1,
+      build(b) {
+        const length = b.int(4, 6 + Math.round(b.difficulty * 4));
+        const start = b.width;
+        for (let i = 0; i < length; i++) {
+          const col = b.addColumn();
+          b.fill(col, 0, b.floor - 2, '#');
+        }
+        if (b.chance(0.5)) b.set(start + Math.floor(length / 2), b.floor - 1, 'C');
+      },
+    },
+    // two walls the player climbs by wall jumping: the left one
+    // hangs from the top so it can be walked under, the right one
+    // is the new, higher ground
+    shaft: {
+      minDifficulty: 0.3,
+      fits: (b) => b.floor - 3 >= MIN_FLOOR,
+      build(b) {
+        const f = b.floor;
+        const rise = Math.min(b.int(3, 3 + Math.round(b.difficulty * 2)), f - MIN_FLOOR);
+        const lip = b.addColumn();
+        b.fill(lip, 0, f - 3, '#');
+        const gap = b.int(2, 3);
+        for (let i = 0; i < gap; i++) b.addColumn();
+        b.floor = f - rise;
+        const top = b.addColumn();
+        if (b.chance(0.5)) b.set(top, b.floor - 1, 'C');
+      },
+    },
+    // breakable floor over a lower passage; a wall closes the
+    // upper route so the floor has to be dived through
+    dive: {
+      minDifficulty: 0.35,
+      fits: (b) => b.floor + 2 <= MAX_FLOOR,
+      build(b) {
+        const f = b.floor;
+        for (let i = 0; i < 2; i++) {
+          const col = b.addColumn(f + 2);
+          b.set(col, f, 'X');
+        }
+        const length = b.int(2, 4);
+        for (let i = 0; i < length; i++) {
+          const col = b.addColumn(f + 2);
+          b.fill(col, 0, f, '#');
+        }
+        b.floor = f + 2;
+        if (b.chance(0.5)) b.set(b.width - 1, b.floor - 1, 'C');
+      },
+    },
+    // a spike floor crossed by hopping between small platforms
+    hop: {
+      minDifficulty: 0.5,
+      fits: (b) => b.floor - 3 >= 1,
+      build(b) {
+        const f = b.floor;
+        const platforms = b.int(2, 3);
+        for (let p = 0; p < platforms; p++) {
+          const gap = b.int(1, 2);
+          for (let i = 0; i < gap; i++) {
+            const col = b.addColumn();
+            b.set(col, f - 1, 'S');
+          }
+          for (let i = 0; i < 2; i++) {
+            const col = b.addColumn();
+            b.set(col, f - 1, 'S');
+            b.set(col, f - 2, '#');
+          }
+          if (b.chance(0.3)) b.set(b.width - 1, f - 3, 'C');
+        }
+        const col = b.addColumn();
+        b.set(col, f - 1, 'S');
+      },
+    },
+  };
+
+  /**
+   * Build one candidate layout.  A solid wall closes the left
+   * edge, the spawn pad and the flag pad bracket the chunks and
+   * one or two plain columns separate consecutive chunks.  Every
+   * CHECKPOINT_EVERY chunks (except after the last) the first of
+   * those columns gets a checkpoint.  options.chunkCount overrides
+   * the difficulty-based count.
+   */
+  function buildLayout(seed, difficulty, options = {}) {
+    const rng = createRng(seed);
+    const b = new LevelBuilder(ROWS, rng, difficulty);
+    b.addColumn(0);
+    for (let i = 0; i < 3; i++) b.addColumn();
+    b.set(1, b.floor - 1, 'P');
+    const chunkCount =
+      options.chunkCount !== undefined ? options.chunkCount : 3 + Math.round(difficulty * 6) + b.int(0, 1);
+    let previous = null;
+    for (let i = 0; i < chunkCount; i++) {
+      const names = Object.keys(CHUNKS).filter(
+        (name) => name !== previous && CHUNKS[name].minDifficulty <= difficulty && CHUNKS[name].fits(b),
+      );
+      const name = names[Math.floor(rng() * names.length)];
+      CHUNKS[name].build(b);
+      previous = name;
+      const breather = b.int(1, 2);
+      for (let k = 0; k < breather; k++) b.addColumn();
+      if ((i + 1) % CHECKPOINT_EVERY === 0 && i < chunkCount - 1) {
+        b.set(b.width - breather, b.floor - 1, 'K');
+      }
+    }
+    for (let i = 0; i < 3; i++) b.addColumn();
+    b.set(b.width - 2, b.floor - 1, 'F');
+    b.addColumn(0);
+    return b.toMap();
+  }
+
+  /**
+   * Macro actions tried by the reachability search.  Each is held
+   * for ACTION_STEPS simulation steps; a jump is only pressed on
+   * the first of them, exactly like tapping the key.
+   */
+  const ACTIONS = [
+    { right: true },
+    { right: true, jump: true },
+    { left: true },
+    { left: true, jump: true },
+    { jump: true },
+    {},
+    { down: true },
+    { right: true, down: true },
+    { left: true, down: true },
+  ];
+  const ACTION_STEPS = 6;
+
+  // entity types findSolution leaves out (see there)
+  const PATROLLING_TYPES = ['hazard', 'enemy'];
+
+  /**
+   * Minimal binary heap keyed on node.priority.
+   */
+  class NodeQueue {
+    constructor() {
+      this.items = [];
+    }
+
+    get size() {
+      return this.items.length;
+    }
+
+    push(node) {
+      const items = this.items;
+      items.push(node);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        [items[parent], items[i]] = [items[i], items[parent]];
+        i = parent;
+      }
+    }
+
+    pop() {
+      const items = this.items;
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const l = i * 2 + 1;
+          const r = l + 1;
+          let smallest = i;
+          if (l < items.length && items[l].priority < items[smallest].priority) smallest = l;
+          if (r < items.length && items[r].priority < items[smallest].priority) smallest = r;
+          if (smallest === i) break;
+          [items[smallest], items[i]] = [items[i], items[smallest]];
+          i = smallest;
+        }
+      }
+      return top;
+    }
+  }
+
+  /**
+   * Coarse key for a player state.  States that round to the same
+   * key are treated as equivalent, which keeps the search small at
+   * the cost of occasionally missing a very precise route.
+   */
+  function stateKey(player) {
+    return [
+      Math.round(player.x / 4),
+      Math.round(player.y / 4),
+      Math.round(player.velX),
+      Math.round(player.velY / 2),
+      player.onGround ? 1 : 0,
+      player.onWall ? 1 : 0,
+      player.dive ? 1 : 0,
+      player.sliding ? 1 : 0,
+      player.grabbing ? 1 : 0,
+    ].join(',');
+  }
+
+  /**
+   * Breadth-first distance, in tiles, from every open cell to the
+   * flag, moving through cells that are neither solid nor spikes.
+   * It ignores physics entirely and only serves as the search
+   * heuristic: it points around walls and into shafts where the
+   * straight-line distance would not.  Unreachable cells get
+   * Infinity.
+   */
+  function distanceField(level, goalCol, goalRow) {
+    const dist = level.map.map((row) => row.map(() => Infinity));
+    const open = (x, y) => {
+      if (y < 0 || y >= level.rows || x < 0 || x >= level.cols) return false;
+      const ch = level.map[y][x];
+      return ch !== 'S' && (!level.isSolid(ch) || ch === 'X');
+    };
+    dist[goalRow][goalCol] = 0;
+    const queue = [[goalCol, goalRow]];
+    for (let i = 0; i < queue.length; i++) {
+      const [x, y] = queue[i];
+      for (const [nx, ny] of [
+        [x + 1, y],
+        [x - 1, y],
+        [x, y + 1],
+        [x, y - 1],
+      ]) {
+        if (open(nx, ny) && dist[ny][nx] === Infinity) {
+          dist[ny][nx] = dist[y][x] + 1;
+          queue.push([nx, ny]);
+        }
+      }
+    }
+    return dist;
+  }
+
+  /**
+   * Search for inputs that carry the player from the spawn to the
+   * flag.  This is a best-first search over real Simulation
+   * states: every branch clones the simulation and steps it with
+   * one of the macro actions, so everything the player can do in
+   * the game (and nothing more) is available to it.  Nodes are
+   * ordered by the distance field above.  Moving hazards and
+   * walking enemies are removed first: they patrol back and forth,
+   * so they are timing obstacles that can be waited out.  Every
+   * other entity (platforms, switches, gates, turrets and their
+   * shots) is simulated as in the game.  The search gives up after
+   * options.maxNodes expansions and returns null; otherwise it
+   * returns the winning input as { steps, frames } in the replay
+   * frame format.
+   */
+  function findSolution(map, options = {}) {
+    const maxNodes = options.maxNodes || 4000;
+    const input = new InputState();
+    const start = new Simulation(map, input, { seed: 0, record: false });
+    start.level.entities = start.level.entities.filter((ent) => !PATROLLING_TYPES.includes(ent.type));
+    const level = start.level;
+    const ts = level.tileSize;
+    let goalCol = 0;
+    let goalRow = 0;
+    for (let y = 0; y < level.rows; y++) {
+      for (let x = 0; x < level.cols; x++) {
+        if (level.map[y][x] === 'F') {
+          goalCol = x;
+          goalRow = y;
+        }
+      }
+    }
+    const dist = distanceField(level, goalCol, goalRow);
+    const killY = (level.rows + 2) * ts;
+    const heuristic = (sim) => {
+      const p = sim.player;
+      const col = Math.floor((p.x + p.width / 2) / ts);
+      const row = Math.floor((p.y + p.height / 2) / ts);
+      // above the map counts as the nearest cell below the top edge
+      const cell = dist[Math.max(0, Math.min(level.rows - 1, row))];
+      const d = cell && cell[col] !== undefined ? cell[col] : Infinity;
+      return (d === Infinity ? level.rows + level.cols : d) * ts + sim.steps * 0.5;
+    };
+    const queue = new NodeQueue();
+    const seen = new Set([stateKey(start.player)]);
+    queue.push({ sim: start, parent: null, action: null, priority: heuristic(start) });
+    let expanded = 0;
+    while (queue.size > 0 && expanded < maxNodes) {
+      const node = queue.pop();
+      expanded++;
+      for (const action of ACTIONS) {
+        const sim = node.sim.clone();
+        for (let k = 0; k < ACTION_STEPS && sim.status === 'running'; k++) {
+          input.left = !!action.left;
+          input.right = !!action.right;
+          input.down = !!action.down;
+          input.jumpRequested = !!action.jump && k === 0;
+          sim.step();
+        }
+        if (sim.status === 'won') {
+          return buildSolution({ sim, parent: node, action });
+        }
+        if (sim.status === 'dead' || sim.player.y > killY) continue;
+        const key = stateKey(sim.player);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        queue.push({ sim, parent: node, action, priority: heuristic(sim) });
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Walk a winning search node back to the root and expand its
+   * actions into per-step input masks.  The final action is cut
+   * off at the step the flag was reached.
+   */
+  function buildSolution(node) {
+    const actions = [];
+    for (let n = node; n.parent; n = n.parent) actions.unshift(n.action);
+    const input = new InputState();
+    const masks = [];
+    actions.forEach((action) => {
+      for (let k = 0; k < ACTION_STEPS; k++) {
+        input.left = !!action.left;
+        input.right = !!action.right;
+        input.down = !!action.down;
+        input.jumpRequested = !!action.jump && k === 0;
+        masks.push(packInput(input));
+      }
+    });
+    masks.length = node.sim.steps;
+    return { steps: masks.length, frames: encodeFrames(masks) };
+  }
+
+  // how many times generateLevel halves the difficulty before
+  // falling back to a chunk-free layout
+  const MAX_HALVINGS = 4;
+
+  /**
+   * Generate a solvable level.  Candidate layouts are derived from
+   * the seed and tried in turn until the search finishes one.  If
+   * none of options.maxAttempts candidates works the difficulty is
+   * halved (up to MAX_HALVINGS times, stopping below 0.05), and as
+   * a last resort a chunk-free layout is searched without a node
+   * limit.  The result carries the map, the seed of the accepted
+   * layout, the difficulty it was built with and the solution
+   * found by the search.  Throws if even the chunk-free layout
+   * cannot be solved.
+   */
+  function generateLevel(options = {}) {
+    const seed = (options.seed || 0) >>> 0;
+    const difficulty = Math.max(0, Math.min(1, options.difficulty === undefined ? 0.5 : options.difficulty));
+    const maxAttempts = options.maxAttempts || 8;
+    for (let halvings = 0; halvings <= MAX_HALVINGS; halvings++) {
+      const d = difficulty / Math.pow(2, halvings);
+      if (halvings > 0 && d < 0.05) break;
+      for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const layoutSeed = (seed + Math.imul(attempt + 1, 0x9e3779b9)) >>> 0;
+        const map = buildLayout(layoutSeed, d);
+        const solution = findSolution(map, options);
+        if (solution) return { map, seed: layoutSeed, difficulty: d, solution };
+      }
+    }
+    const map = buildLayout(seed, 0, { chunkCount: 0 });
+    const solution = findSolution(map, Object.assign({}, options, { maxNodes: Infinity }));
+    if (!solution) throw new Error(`Could not generate a solvable level for seed ${seed}.`);
+    return { map, seed, difficulty: 0, solution };
+  }
+
+  return { ROWS, CHUNKS, buildLayout, findSolution, generateLevel };
+});
@@ -0,0 +1,453 @@
+// levelformat.js
+/*
+ * Portable level file format.
+ *
+ * Levels are exchanged as JSON documents of this shape:
+ *
+ *   {
+ *     "format": "minimal-platformer-level",
+ *     "version": 3,
+ *     "meta": {
+ *       "name": "Warm-up", "author": "Sam", "parTime": 12, "theme": "default",
+ *       "edges": { "left": "solid", "right": "solid", "top": "open", "bottom": "open" }
+ *     },
+ *     "tiles": [
+ *       "#######",
+ *       "#P   F#",
+ *       "#######"
+ *     ],
+ *     "entities": [{ "type": "hazard", "x": 3, "y": 1, "range": 2, "speed": 2.5, "dir": 1 }],
+ *     "cameraZones": [{ "x": 0, "y": 0, "width": 7, "height": 3, "mode": "bounds" }]
+ *   }
+ *
+ * tiles holds one string per row, all of the same length, written
+ * with the characters in LEGEND.  Entity coordinates and ranges are
+ * in tiles; speeds are in pixels per 1/60th of a second.  Besides
+ * hazards, entities may be enemies ({ "type": "enemy", "x", "y" },
+ * with an optional "speed" and "dir") and turrets ({ "type":
+ * "turret", "x", "y" } with an optional "dir", "speed" for their
+ * shots and "interval" between shots in seconds).  Platforms
+ * ({ "type": "platform", "x", "y" }) are solid and carry the player;
+ * they may be "width" tiles wide and follow a "path" of waypoints,
+ * given as [dx, dy] tile offsets from their own tile, at "speed".
+ * A "fallingPlatform" and a "crumblingBlock" give way "delay"
+ * seconds after being stood on and come back "respawn" seconds
+ * later; a falling platform may also have a "width".  Switches
+ * ("lever", "pressurePlate" and "timedSwitch", which stays on for
+ * "duration" seconds) are linked to what they control by a
+ * "channel" name: "gate" and "bridge" blocks on the same channel
+ * turn solid or clear, and hazards and platforms given a channel
+ * only move while it is on.  Switches, gates and bridges placed
+ * with map characters share the channel "default".  parTime
+ * is in seconds and may be null.  edges says whether each side of
+ * the grid is a solid wall or open; leaving the level through an
+ * open left, right or bottom edge kills the player, while an open
+ * top lets them jump above the grid.  Missing edges are open.
+ * cameraZones are rectangles of tiles that change how the camera
+ * follows the player while they are inside one: a "bounds" zone
+ * keeps the view within the rectangle (a vertical shaft, say) and
+ * a "lock" zone holds the view centred on it (an arena room).
+ * Files carry a version so the format can change without breaking
+ * older files: parseLevel upgrades older files one version at a
+ * time by MIGRATIONS, and anything newer than FORMAT_VERSION is
+ * refused.  Version 1 files predate edges, and version 2 files
+ * predate camera zones, every entity type but hazards, the surface,
+ * key, door, switch and platform tiles, and channels.
+ *
+ * The module has no DOM dependency.  In the browser it is exposed as
+ * window.PlatformerLevelFormat; under CommonJS it is exported.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PlatformerLevelFormat = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const FORMAT_ID = 'minimal-platformer-level';
+  const FORMAT_VERSION = 3;
+
+  /**
+   * Every character a tile row may contain and what it means.
+   */
+  const LEGEND = {
+    ' ': 'empty space',
+    '#': 'solid wall',
+    S: 'spikes; touching them kills',
+    B: 'bounce pad; solid, launches the player on landing',
+    X: 'breakable block; solid until dived into from above',
+    F: 'flag; touching it completes the level',
+    I: 'ice; solid and slippery',
+    '<': 'conveyor belt; solid, carries whatever stands on it to the left',
+    '>': 'conveyor belt; solid, carries whatever stands on it to the right',
+    G: 'sticky wall; solid, lets the player cling to it without sliding',
+    N: 'slick wall; solid, but too smooth to wall jump from',
+    r: 'red key; opens red doors',
+    y: 'yellow key; opens yellow doors',
+    a: 'aqua key; opens aqua doors',
+    R: 'red door; solid until walked into holding a red key',
+    Y: 'yellow door; solid until walked into holding a yellow key',
+    A: 'aqua door; solid until walked into holding an aqua key',
+    L: 'lever; walking into it flips the default switch channel',
+    _: 'pressure plate; the default channel is on while it is stood on',
+    W: 'timed switch; turns the default channel on for 5 seconds',
+    O: 'gate; solid while the default channel is off',
+    Q: 'bridge; solid while the default channel is on',
+    C: 'coin',
+    K: 'checkpoint; dying after touching it respawns the player here',
+    H: 'moving hazard with default range (3 tiles) and a random speed',
+    E: 'walking enemy; turns at walls and ledges, defeated by landing on it or diving into it',
+    T: 'turret; fires a projectile to the left every 2 seconds',
+    M: 'moving platform; rides 3 tiles right and back',
+    V: 'lift; a moving platform that rides 3 tiles up and back',
+    D: 'falling platform; drops shortly after being stood on and comes back',
+    U: 'crumbling block; breaks shortly after being stood on and comes back',
+    P: 'player spawn; exactly one per level',
+  };
+
+  /**
+   * Entity types a level file may list.
+   */
+  const ENTITY_TYPES = [
+    'hazard',
+    'enemy',
+    'turret',
+    'platform',
+    'fallingPlatform',
+    'crumblingBlock',
+    'lever',
+    'pressurePlate',
+    'timedSwitch',
+    'gate',
+    'bridge',
+  ];
+
+  /**
+   * Colour themes the renderer knows.
+   */
+  const THEMES = ['default', 'cave', 'sunset'];
+
+  /**
+   * Sides of the grid and what each may be.
+   */
+  const EDGES = ['left', 'right', 'top', 'bottom'];
+  const EDGE_TYPES = ['open', 'solid'];
+  const DEFAULT_EDGES = { left: 'open', right: 'open', top: 'open', bottom: 'open' };
+
+  /**
+   * How a camera zone treats the view.
+   */
+  const CAMERA_MODES = ['bounds', 'lock'];
+
+  // limits that keep imported files to a sensible size
+  const MAX_ROWS = 100;
+  const MAX_COLS = 1000;
+  const MAX_NAME_LENGTH = 60;
+
+  /**
+   * Return the list of problems with a parsed level document, each
+   * a human readable sentence.  An empty list means the document
+   * is valid.
+   */
+  function validateLevel(data) {
+    const errors = [];
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['The file does not contain a level object.'];
+    }
+    if (data.format !== FORMAT_ID) {
+      errors.push(`Not a level file: "format" should be "${FORMAT_ID}".`);
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      errors.push('"version" must be a whole number of at least 1.');
+    } else if (data.version > FORMAT_VERSION) {
+      errors.push(`Level version ${data.version} is newer than this game supports (up to ${FORMAT_VERSION}).`);
+    }
+    validateMeta(data.meta, errors);
+    const size = validateTiles(data.tiles, errors);
+    validateEntities(data.entities, size, errors);
+    validateCameraZones(data.cameraZones, size, errors);
+    return errors;
+  }
+
+  function validateMeta(meta, errors) {
+    if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+      errors.push('"meta" must be an object with at least a name.');
+      return;
+    }
+    if (typeof meta.name !== 'string' || meta.name.trim() === '') {
+      errors.push('"meta.name" must be a non-empty string.');
+    } else if (meta.name.length > MAX_NAME_LENGTH) {
+      errors.push(`"meta.name" must be at most ${MAX_NAME_LENGTH} characters.`);
+    }
+    if (meta.author !== undefined && typeof meta.author !== 'string') {
+      errors.push('"meta.author" must be a string.');
+    }
+    if (meta.parTime !== undefined && meta.parTime !== null) {
+      if (typeof meta.parTime !== 'number' || !(meta.parTime > 0)) {
+        errors.push('"meta.parTime" must be a positive number of seconds or null.');
+      }
+    }
+    if (meta.theme !== undefined && !THEMES.includes(meta.theme)) {
+      errors.push(`"meta.theme" must be one of ${THEMES.join(', ')}.`);
+    }
+    if (meta.edges !== undefined) {
+      if (!meta.edges || typeof meta.edges !== 'object' || Array.isArray(meta.edges)) {
+        errors.push('"meta.edges" must be an object.');
+        return;
+      }
+      for (const side of Object.keys(meta.edges)) {
+        if (!EDGES.includes(side)) {
+          errors.push(`"meta.edges" has unknown side "${side}"; sides are ${EDGES.join(', ')}.`);
+        } else if (!EDGE_TYPES.includes(meta.edges[side])) {
+          errors.push(`"meta.edges.${side}" must be one of ${EDGE_TYPES.join(', ')}.`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Check the tile rows and return their size (or null when the
+   * grid is too broken to measure).
+   */
+  function validateTiles(tiles, errors) {
+    if (!Array.isArray(tiles) || tiles.length === 0) {
+      errors.push('"tiles" must be a non-empty array of strings.');
+      return null;
+    }
+    if (tiles.length > MAX_ROWS) {
+      errors.push(`"tiles" has ${tiles.length} rows; the limit is ${MAX_ROWS}.`);
+    }
+    if (typeof tiles[0] !== 'string' || tiles[0].length === 0) {
+      errors.push('"tiles[0]" must be a non-empty string.');
+      return null;
+    }
+    const cols = tiles[0].length;
+    if (cols > MAX_COLS) {
+      errors.push(`Rows are ${cols} tiles wide; the limit is ${MAX_COLS}.`);
+    }
+    let spawns = 0;
+    let flags = 0;
+    tiles.forEach((row, y) => {
+      if (typeof row !== 'string') {
+        errors.push(`"tiles[${y}]" must be a string.`);
+        return;
+      }
+      if (row.length !== cols) {
+        errors.push(`"tiles[${y}]" is ${row.length} characters long; expected ${cols} like the first row.`);
+      }
+      for (let x = 0; x < row.length; x++) {
+        const ch = row[x];
+        if (!(ch in LEGEND)) {
+          errors.push(`Unknown tile "${ch}" at row ${y}, column ${x}.`);
+        } else if (ch === 'P') {
+          spawns++;
+        } else if (ch === 'F') {
+          flags++;
+        }
+      }
+    });
+    if (spawns !== 1) {
+      errors.push(`The level needs exactly one spawn "P"; found ${spawns}.`);
+    }
+    if (flags === 0) {
+      errors.push('The level needs at least one flag "F".');
+    }
+    return { rows: tiles.length, cols };
+  }
+
+  function validateEntities(entities, size, errors) {
+    if (entities === undefined) return;
+    if (!Array.isArray(entities)) {
+      errors.push('"entities" must be an array.');
+      return;
+    }
+    entities.forEach((ent, i) => {
+      const where = `"entities[${i}]"`;
+      if (!ent || typeof ent !== 'object') {
+        errors.push(`${where} must be an object.`);
+        return;
+      }
+      if (!ENTITY_TYPES.includes(ent.type)) {
+        errors.push(
+          `${where} has unknown type ${JSON.stringify(ent.type)}; supported types: ${ENTITY_TYPES.join(', ')}.`,
+        );
+        return;
+      }
+      if (!Number.isInteger(ent.x) || !Number.isInteger(ent.y)) {
+        errors.push(`${where} needs whole-number tile coordinates "x" and "y".`);
+      } else if (size && (ent.x < 0 || ent.y < 0 || ent.x >= size.cols || ent.y >= size.rows)) {
+        errors.push(`${where} at (${ent.x}, ${ent.y}) is outside the ${size.cols}x${size.rows} tile grid.`);
+      }
+      // hazards need a range and speed; the others have defaults
+      if (ent.type === 'hazard' && (typeof ent.range !== 'number' || !(ent.range >= 0))) {
+        errors.push(`"entities[${i}].range" must be a number of tiles, 0 or more.`);
+      }
+      if (
+        (ent.type === 'hazard' || ent.speed !== undefined) &&
+        (typeof ent.speed !== 'number' || !(ent.speed > 0 && ent.speed <= 20))
+      ) {
+        errors.push(`"entities[${i}].speed" must be a number above 0 and at most 20.`);
+      }
+      const seconds = (name, min, max) => {
+        if (ent[name] !== undefined && (typeof ent[name] !== 'number' || !(ent[name] >= min && ent[name] <= max))) {
+          errors.push(`"entities[${i}].${name}" must be a number of seconds from ${min} to ${max}.`);
+        }
+      };
+      if (ent.type === 'turret') seconds('interval', 0.25, 60);
+      if (ent.type === 'fallingPlatform' || ent.type === 'crumblingBlock') {
+        seconds('delay', 0, 10);
+        seconds('respawn', 0.5, 60);
+      }
+      if (ent.type === 'timedSwitch') seconds('duration', 0.5, 60);
+      const named = typeof ent.channel === 'string' && ent.channel.trim() !== '';
+      if (ent.channel !== undefined && !named && !Number.isInteger(ent.channel)) {
+        errors.push(`"entities[${i}].channel" must be a name or a whole number.`);
+      }
+      if (ent.width !== undefined && !(Number.isInteger(ent.width) && ent.width >= 1 && ent.width <= 10)) {
+        errors.push(`"entities[${i}].width" must be a whole number of tiles from 1 to 10.`);
+      }
+      const isOffset = (p) => Array.isArray(p) && p.length === 2 && p.every(Number.isInteger);
+      if (ent.path !== undefined && !(Array.isArray(ent.path) && ent.path.every(isOffset))) {
+        errors.push(`"entities[${i}].path" must be a list of [dx, dy] whole-number tile offsets.`);
+      }
+      if (ent.dir !== undefined && ent.dir !== 1 && ent.dir !== -1) {
+        errors.push(`"entities[${i}].dir" must be 1 (right) or -1 (left).`);
+      }
+    });
+  }
+
+  function validateCameraZones(zones, size, errors) {
+    if (zones === undefined) return;
+    if (!Array.isArray(zones)) {
+      errors.push('"cameraZones" must be an array.');
+      return;
+    }
+    zones.forEach((zone, i) => {
+      const where = `"cameraZones[${i}]"`;
+      if (!zone || typeof zone !== 'object') {
+        errors.push(`${where} must be an object.`);
+        return;
+      }
+      if (!Number.isInteger(zone.x) || !Number.isInteger(zone.y)) {
+        errors.push(`${where} needs whole-number tile coordinates "x" and "y".`);
+      } else if (!Number.isInteger(zone.width) || !Number.isInteger(zone.height)) {
+        errors.push(`${where} needs a whole-number "width" and "height" in tiles.`);
+      } else if (zone.width < 1 || zone.height < 1) {
+        errors.push(`${where} must be at least 1 tile wide and high.`);
+      } else if (
+        size &&
+        (zone.x < 0 || zone.y < 0 || zone.x + zone.width > size.cols || zone.y + zone.height > size.rows)
+      ) {
+        errors.push(`${where} does not fit inside the ${size.cols}x${size.rows} tile grid.`);
+      }
+      if (zone.mode !== undefined && !CAMERA_MODES.includes(zone.mode)) {
+        errors.push(`"cameraZones[${i}].mode" must be one of ${CAMERA_MODES.join(', ')}.`);
+      }
+    });
+  }
+
+  /**
+   * Build a level definition in the current format version with
+   * defaults filled in.  Accepts the same fields as the file.
+   */
+  function createLevel({
+    name,
+    author = '',
+    parTime = null,
+    theme = 'default',
+    edges = {},
+    tiles,
+    entities = [],
+    cameraZones = [],
+  }) {
+    return {
+      format: FORMAT_ID,
+      version: FORMAT_VERSION,
+      meta: { name, author, parTime, theme, edges: Object.assign({}, DEFAULT_EDGES, edges) },
+      tiles: tiles.slice(),
+      entities: entities.map((ent) => Object.assign({}, ent)),
+      cameraZones: cameraZones.map((zone) => Object.assign({ mode: 'bounds' }, zone)),
+    };
+  }
+
+  /**
+   * Upgrade steps keyed by the version they upgrade from.  Each
+   * takes a valid definition of that version and returns one of
+   * the next.
+   */
+  const MIGRATIONS = {
+    // levels made before edges existed had nothing beyond the grid,
+    // so every edge was open
+    1(data) {
+      return Object.assign({}, data, {
+        version: 2,
+        meta: Object.assign({}, data.meta, { edges: Object.assign({}, DEFAULT_EDGES, data.meta.edges) }),
+      });
+    },
+    // version 3 only added to the format, so a version 2 level
+    // plays the same as it is
+    2(data) {
+      return Object.assign({}, data, { version: 3 });
+    },
+  };
+
+  /**
+   * Parse the text of a level file.  Returns { level, errors }:
+   * level is a normalised definition (see createLevel), migrated to
+   * the current version, when the file is valid and null otherwise.
+   */
+  function parseLevel(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { level: null, errors: [`The file is not valid JSON (${err.message}).`] };
+    }
+    const errors = validateLevel(data);
+    if (errors.length > 0) return { level: null, errors };
+    for (let v = data.version; v < FORMAT_VERSION; v++) {
+      data = MIGRATIONS[v](data);
+    }
+    const level = createLevel({
+      name: data.meta.name.trim(),
+      author: data.meta.author,
+      parTime: data.meta.parTime,
+      theme: data.meta.theme,
+      edges: data.meta.edges,
+      tiles: data.tiles,
+      entities: (data.entities || []).map((ent) => Object.assign(ent.type === 'hazard' ? { dir: 1 } : {}, ent)),
+      cameraZones: data.cameraZones,
+    });
+    return { level, errors: [] };
+  }
+
+  /**
+   * Serialise a level definition as pretty-printed JSON, one tile
+   * row per line so files diff nicely.
+   */
+  function serializeLevel(level) {
+    const doc = createLevel(
+      Object.assign({}, level.meta, { tiles: level.tiles, entities: level.entities, cameraZones: level.cameraZones }),
+    );
+    const rows = doc.tiles.map((row) => `    ${JSON.stringify(row)}`).join(',\n');
+    const rest = JSON.stringify(Object.assign({}, doc, { tiles: '__TILES__' }), null, 2);
+    return rest.replace('"__TILES__"', `[\n${rows}\n  ]`) + '\n';
+  }
+
+  return {
+    FORMAT_ID,
+    FORMAT_VERSION,
+    MIGRATIONS,
+    LEGEND,
+    ENTITY_TYPES,
+    THEMES,
+    EDGES,
+    DEFAULT_EDGES,
+    CAMERA_MODES,
+    validateLevel,
+    createLevel,
+    parseLevel,
+    serializeLevel,
+  };
+});
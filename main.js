@@ -2,14 +2,29 @@
 /*
  * Minimal 2D platformer inspired by OvO.
  *
- * The entire game is contained within this file.  The code is kept
- * modular to encourage readability and to support expansion.  All
- * gameplay logic executes client‑side and no external game engines
- * are used.  Levels are generated procedurally to produce 50 unique
- * stages with increasing variety.
+ * This file holds the browser side of the game: input, rendering,
+ * menus and persistence.  The simulation itself (levels, collision
+ * and player physics) lives in sim.js, the tile types in tiles.js,
+ * the entity types (enemies, turrets and hazards) in entities.js,
+ * the level file format in levelformat.js, the level generator in
+ * generator.js, the save format in save.js and the sound
+ * synthesizer in audio.js; they must be loaded first and have no
+ * dependency on the page.  The code is kept modular to encourage
+ * readability and to support expansion.  All gameplay logic
+ * executes client‑side and no external game engines are used.
+ * Levels are generated procedurally by generator.js to produce 50
+ * unique, solvable stages of increasing difficulty.
  */
 
 (function () {
+  const { STEP_RATE, Level, Simulation, ReplayInput } = window.PlatformerSim;
+  const PlatformerGenerator = window.PlatformerGenerator;
+  const PlatformerLevelFormat = window.PlatformerLevelFormat;
+  const PlatformerTiles = window.PlatformerTiles;
+  const PlatformerEntities = window.PlatformerEntities;
+  const PlatformerSave = window.PlatformerSave;
+  const Sound = new window.PlatformerAudio.AudioSystem();
+
   /**
    * Grab references to DOM elements once.  These elements provide
    * canvas rendering, overlay interfaces for menus, and control buttons.
@@ -22,70 +37,288 @@
   const levelSelectScreen = document.getElementById('levelSelectScreen');
   const skinsScreen = document.getElementById('skinsScreen');
   const levelListDiv = document.getElementById('levelList');
+  const levelSelectMessageDiv = document.getElementById('levelSelectMessage');
+  const levelFileInput = document.getElementById('levelFileInput');
+  const nextLevelButton = document.getElementById('nextLevelButton');
   const skinsListDiv = document.getElementById('skinsList');
+  const controlsScreen = document.getElementById('controlsScreen');
+  const controlsListDiv = document.getElementById('controlsList');
+  const controlsMessageDiv = document.getElementById('controlsMessage');
+  const touchLayer = document.getElementById('touchControls');
+  const touchModeSelect = document.getElementById('touchMode');
+  const touchLayoutSelect = document.getElementById('touchLayout');
+  const touchSizeInput = document.getElementById('touchSize');
+  const touchOpacityInput = document.getElementById('touchOpacity');
+  const settingsScreen = document.getElementById('settingsScreen');
+  const effectsSelect = document.getElementById('effectsDensity');
+  const fullscreenButton = document.getElementById('fullscreenButton');
+  const screenShakeInput = document.getElementById('screenShake');
+  const settingsMessageDiv = document.getElementById('settingsMessage');
+  const saveFileInput = document.getElementById('saveFileInput');
+  const volumeInputs = {
+    master: document.getElementById('masterVolume'),
+    music: document.getElementById('musicVolume'),
+    sfx: document.getElementById('sfxVolume'),
+  };
   const timeStatsDiv = document.getElementById('timeStats');
+  const speedrunResultsScreen = document.getElementById('speedrunResultsScreen');
+  const speedrunStatsDiv = document.getElementById('speedrunStats');
+  const editorPanel = document.getElementById('editorPanel');
+  const editorPaletteDiv = document.getElementById('editorPalette');
+  const editorNameInput = document.getElementById('editorName');
+  const editorAuthorInput = document.getElementById('editorAuthor');
+  const editorWidthInput = document.getElementById('editorWidth');
+  const editorHeightInput = document.getElementById('editorHeight');
+  const editorMessageDiv = document.getElementById('editorMessage');
+  const editorEdgeInputs = {
+    left: document.getElementById('editorEdgeLeft'),
+    right: document.getElementById('editorEdgeRight'),
+    top: document.getElementById('editorEdgeTop'),
+    bottom: document.getElementById('editorEdgeBottom'),
+  };
+
+  /**
+   * The logical viewport the game is drawn in.  Everything is laid
+   * out in width x height units whatever the size of the window:
+   * the canvas is scaled to the largest size with the same aspect
+   * ratio that fits the window and centred, leaving black bars on
+   * the other axis, and its backing store follows its size in
+   * device pixels so it stays sharp on high-DPI screens.  The
+   * context transform maps logical units to device pixels, so
+   * drawing code uses Viewport.width and Viewport.height rather
+   * than the canvas size.  The editor panel is kept over the
+   * canvas.
+   */
+  const Viewport = {
+    // logical size, taken from the canvas attributes in index.html
+    width: 900,
+    height: 500,
+    // CSS pixels per logical unit
+    scale: 1,
+    init() {
+      this.width = canvas.width;
+      this.height = canvas.height;
+      // moving to a screen with another pixel ratio also fires resize
+      window.addEventListener('resize', () => this.fit());
+      document.addEventListener('fullscreenchange', () => {
+        this.fit();
+        fullscreenButton.textContent = document.fullscreenElement ? 'Exit Fullscreen' : 'Fullscreen';
+      });
+      fullscreenButton.style.display = document.fullscreenEnabled ? '' : 'none';
+      fullscreenButton.onclick = () => this.toggleFullscreen();
+      this.fit();
+    },
+    /**
+     * Size and place the canvas for the current window and pixel
+     * ratio.  Resizing the backing store clears the canvas and
+     * resets the context, which the next frame redraws.
+     */
+    fit() {
+      this.scale = Math.min(window.innerWidth / this.width, window.innerHeight / this.height);
+      const cssWidth = Math.floor(this.width * this.scale);
+      const cssHeight = Math.floor(this.height * this.scale);
+      const left = Math.floor((window.innerWidth - cssWidth) / 2);
+      const top = Math.floor((window.innerHeight - cssHeight) / 2);
+      const ratio = window.devicePixelRatio || 1;
+      canvas.style.width = `${cssWidth}px`;
+      canvas.style.height = `${cssHeight}px`;
+      canvas.style.left = `${left}px`;
+      canvas.style.top = `${top}px`;
+      canvas.width = Math.round(cssWidth * ratio);
+      canvas.height = Math.round(cssHeight * ratio);
+      ctx.setTransform(canvas.width / this.width, 0, 0, canvas.height / this.height, 0, 0);
+      editorPanel.style.left = `${left}px`;
+      editorPanel.style.top = `${top}px`;
+      editorPanel.style.width = `${cssWidth}px`;
+    },
+    /**
+     * Convert a point in page coordinates (a mouse event's clientX
+     * and clientY) to logical viewport units.
+     */
+    toLogical(clientX, clientY) {
+      const rect = canvas.getBoundingClientRect();
+      return {
+        x: ((clientX - rect.left) * this.width) / rect.width,
+        y: ((clientY - rect.top) * this.height) / rect.height,
+      };
+    },
+    /**
+     * Enter or leave fullscreen.  The whole page goes fullscreen so
+     * the menus and touch controls stay over the canvas; the
+     * resize that follows refits it.
+     */
+    toggleFullscreen() {
+      const request = document.fullscreenElement
+        ? document.exitFullscreen()
+        : document.documentElement.requestFullscreen();
+      request.catch(() => Game.notify('Fullscreen is not available.'));
+    },
+  };
 
   /**
-   * Simple input manager.  The state of directional keys and jump
-   * requests are tracked here.  Jump requests are queued and must
-   * be consumed explicitly by the player each frame so that jump
-   * buffering can be supported.  Escape/P toggles pause.
+   * Simple input manager.  Keys and gamepad buttons are bound to
+   * actions (see defaultBindings); a binding is a string, 'key:'
+   * followed by the lower-cased KeyboardEvent.key or 'pad:'
+   * followed by a standard-mapping button index, and each action
+   * may have several.  The state of the directional actions and
+   * jump requests is tracked here.  Jump requests are queued and
+   * must be consumed explicitly by the player each frame so that
+   * jump buffering can be supported.  Holding jump also counts as
+   * up, which the editor uses to scroll, and as jumpHeld, which
+   * lets the player cut a jump short by letting go.  Keys typed
+   * into form fields are ignored.  Directions held on the keyboard,
+   * gamepads and touch controls are tracked separately and merged,
+   * so releasing one does not cancel the others.
    */
   const Input = {
     left: false,
     right: false,
+    up: false,
     down: false,
     jumpRequested: false,
+    jumpHeld: false,
+    keys: { left: false, right: false, up: false, down: false },
+    pad: { left: false, right: false, up: false, down: false },
+    touch: { left: false, right: false, up: false, down: false },
+    // action names in the order the controls screen lists them
+    actions: ['left', 'right', 'down', 'jump', 'pause', 'retry'],
+    actionNames: {
+      left: 'Left',
+      right: 'Right',
+      down: 'Down / slide / dive',
+      jump: 'Jump',
+      pause: 'Pause',
+      retry: 'Retry',
+    },
+    defaultBindings: {
+      left: ['key:arrowleft', 'key:a', 'pad:14'],
+      right: ['key:arrowright', 'key:d', 'pad:15'],
+      down: ['key:arrowdown', 'key:s', 'pad:13'],
+      jump: ['key:arrowup', 'key:w', 'pad:0', 'pad:12'],
+      pause: ['key:p', 'key:escape', 'pad:9'],
+      retry: ['key:r', 'pad:3'],
+    },
+    bindings: null,
+    // when set, the next key or pad button press is passed to this
+    // function instead of being acted on
+    capture: null,
     init() {
+      this.resetBindings();
       window.addEventListener('keydown', (e) => {
-        const k = e.key.toLowerCase();
+        if (e.target && (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT')) return;
+        const binding = `key:${e.key.toLowerCase()}`;
+        if (this.capture) {
+          e.preventDefault();
+          this.capture(binding);
+          return;
+        }
         // prevent the default behaviour for arrow keys to avoid
         // unintentional scrolling.
         if (['arrowup', 'arrowdown', 'arrowleft', 'arrowright', ' '].includes(e.key)) {
           e.preventDefault();
         }
-        switch (k) {
-          case 'arrowleft':
-          case 'a':
-            this.left = true;
-            break;
-          case 'arrowright':
-          case 'd':
-            this.right = true;
-            break;
-          case 'arrowdown':
-          case 's':
-            this.down = true;
-            break;
-          case 'arrowup':
-          case 'w':
-            // queue a jump request
-            this.jumpRequested = true;
-            break;
-          case 'p':
-          case 'escape':
-            Game.togglePause();
-            break;
-        }
+        // held keys repeat keydown; only the first press acts
+        if (!e.repeat) this.press(binding);
+        this.hold(this.keys, binding, true);
       });
       window.addEventListener('keyup', (e) => {
-        const k = e.key.toLowerCase();
-        switch (k) {
-          case 'arrowleft':
-          case 'a':
-            this.left = false;
-            break;
-          case 'arrowright':
-          case 'd':
-            this.right = false;
-            break;
-          case 'arrowdown':
-          case 's':
-            this.down = false;
-            break;
-        }
+        this.hold(this.keys, `key:${e.key.toLowerCase()}`, false);
       });
     },
+    /**
+     * The action a binding is assigned to, or null.
+     */
+    actionFor(binding) {
+      return this.actions.find((action) => this.bindings[action].includes(binding)) || null;
+    },
+    /**
+     * Perform the one-shot part of a binding's action: queue a
+     * jump, toggle pause or retry the level.
+     */
+    press(binding) {
+      const action = this.actionFor(binding);
+      if (action === 'jump') {
+        // queue a jump request
+        this.jumpRequested = true;
+      } else if (action === 'pause') {
+        Game.togglePause();
+      } else if (action === 'retry') {
+        Game.retry();
+      }
+    },
+    /**
+     * Record a binding being held or released in one of the
+     * direction sources (keys or pad).
+     */
+    hold(source, binding, down) {
+      const action = this.actionFor(binding);
+      const dir = action === 'jump' ? 'up' : action;
+      if (dir in source) {
+        source[dir] = down;
+        this.merge();
+      }
+    },
+    /**
+     * Set the directions held on gamepads from the stick
+     * directions and the indices of the held buttons (see
+     * Gamepads.poll()).
+     */
+    setPad(stick, buttons) {
+      for (const dir of Object.keys(this.pad)) this.pad[dir] = stick[dir];
+      buttons.forEach((index) => {
+        const action = this.actionFor(`pad:${index}`);
+        const dir = action === 'jump' ? 'up' : action;
+        if (dir in this.pad) this.pad[dir] = true;
+      });
+      this.merge();
+    },
+    /**
+     * Set the directions held on the touch controls (see Touch).
+     */
+    setTouch(state) {
+      Object.assign(this.touch, state);
+      this.merge();
+    },
+    merge() {
+      for (const dir of ['left', 'right', 'up', 'down']) {
+        this[dir] = this.keys[dir] || this.pad[dir] || this.touch[dir];
+      }
+      this.jumpHeld = this.up;
+    },
+    /**
+     * Restore the default bindings.
+     */
+    resetBindings() {
+      this.bindings = {};
+      for (const action of this.actions) {
+        this.bindings[action] = this.defaultBindings[action].slice();
+      }
+    },
+    /**
+     * Use saved bindings, keeping the defaults for any action the
+     * save does not mention.
+     */
+    loadBindings(saved) {
+      this.resetBindings();
+      if (!saved) return;
+      for (const action of this.actions) {
+        if (Array.isArray(saved[action])) this.bindings[action] = saved[action].slice();
+      }
+    },
+    /**
+     * Human readable name of a binding for the controls screen.
+     */
+    describe(binding) {
+      const [kind, code] = [binding.slice(0, binding.indexOf(':')), binding.slice(binding.indexOf(':') + 1)];
+      if (kind === 'pad') {
+        const names = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3'];
+        const dpad = { 12: 'D-pad ↑', 13: 'D-pad ↓', 14: 'D-pad ←', 15: 'D-pad →' };
+        return `Pad ${names[code] || dpad[code] || `button ${code}`}`;
+      }
+      const keys = { arrowleft: '←', arrowright: '→', arrowup: '↑', arrowdown: '↓', ' ': 'Space', escape: 'Esc' };
+      if (keys[code]) return keys[code];
+      return code.length === 1 ? code.toUpperCase() : code.charAt(0).toUpperCase() + code.slice(1);
+    },
     /**
      * Consume the jump request if there was one.  This function
      * returns true once per key press and then resets the flag.
@@ -100,468 +333,1708 @@
   };
 
   /**
-   * Player represents the stickman controlled by the user.  It
-   * encapsulates all physics (acceleration, friction, gravity,
-   * jumping, sliding, diving and wall jumping) as well as basic
-   * state such as whether the character is on the ground or
-   * touching a wall.  The update() method uses delta time to
-   * advance the simulation and query collisions from the current
-   * level.  Drawing is relative to the camera offset.
+   * Gamepad support through the Gamepad API.  Pads have no events
+   * for buttons or sticks, so every connected pad is polled once
+   * per frame from the game loop.  The left stick always drives
+   * Input's directions; buttons go through Input's bindings (by
+   * default the d-pad moves, A jumps and Start pauses).  On the
+   * menu overlays the stick and d-pad move focus between buttons,
+   * A presses the focused button and B goes back, whatever the
+   * bindings.  Pads can be plugged in or removed at any time.
    */
-  class Player {
-    constructor(spawnX, spawnY, skinColor) {
-      this.x = spawnX;
-      this.y = spawnY;
-      this.width = 24;
-      this.height = 40;
-      this.baseHeight = this.height;
-      this.color = skinColor;
-      this.velX = 0;
-      this.velY = 0;
-      this.acc = 0.4; // horizontal acceleration per frame
-      this.maxSpeed = 5.5; // maximum horizontal speed
-      this.jumpForce = 9;
-      this.gravity = 0.45;
-      this.onGround = false;
-      this.onWall = false;
-      this.wallDir = 0; // -1 left, 1 right
-      this.sliding = false;
-      this.slideTimer = 0;
-      this.slideDuration = 15;
-      this.dive = false;
-      this.coyoteTimer = 0;
-      this.jumpBuffer = 0;
-    }
-
+  const Gamepads = {
+    // stick deflection below this is treated as centred
+    deadzone: 0.35,
+    // standard mapping button indices used by the menus
+    buttons: { a: 0, b: 1 },
+    dpad: { up: 12, down: 13, left: 14, right: 15 },
+    // button indices held on the previous poll
+    heldButtons: new Set(),
+    // menu buttons and directions held on the previous poll
+    held: new Set(),
+    // held menu directions repeat after a delay (ms)
+    repeatDelay: 400,
+    repeatInterval: 120,
+    nextRepeat: 0,
+    init() {
+      window.addEventListener('gamepadconnected', (e) => {
+        Game.notify(`Controller connected: ${e.gamepad.id}`);
+      });
+      window.addEventListener('gamepaddisconnected', (e) => {
+        Game.notify(`Controller disconnected: ${e.gamepad.id}`);
+      });
+    },
     /**
-     * Called once per frame.  Updates the player's position,
-     * velocity and state based on input and collisions.  dt is a
-     * multiplier representing how many 1/60th of a second have
-     * elapsed (to keep physics consistent if the browser slows).
-     */
-    update(dt, level) {
-      // Apply horizontal input
-      let move = 0;
-      if (Input.left) move -= 1;
-      if (Input.right) move += 1;
-      // accelerate horizontally
-      this.velX += move * this.acc;
-      // apply friction if no input
-      if (move === 0) {
-        this.velX *= 0.8;
-        if (Math.abs(this.velX) < 0.05) this.velX = 0;
-      }
-      // cap horizontal speed
-      if (this.velX > this.maxSpeed) this.velX = this.maxSpeed;
-      if (this.velX < -this.maxSpeed) this.velX = -this.maxSpeed;
-
-      // initiate slide if down pressed on ground and moving fast
-      if (this.onGround && Input.down && !this.sliding && Math.abs(this.velX) > 2) {
-        this.sliding = true;
-        this.slideTimer = this.slideDuration;
-        this.height = this.baseHeight / 2;
-        // adjust y so bottom stays aligned
-        this.y += this.baseHeight - this.height;
-        // small boost
-        this.velX += this.velX > 0 ? 1 : -1;
-      }
-      // handle sliding state
-      if (this.sliding) {
-        this.slideTimer -= dt;
-        this.velX *= 0.98;
-        if (this.slideTimer <= 0 || !Input.down) {
-          // end slide
-          this.sliding = false;
-          // restore height
-          const oldHeight = this.height;
-          this.height = this.baseHeight;
-          this.y -= this.baseHeight - oldHeight;
-        }
+     * Read every connected pad, update Input's directions and react
+     * to newly pressed buttons.  Several pads are merged as if they
+     * were one.
+     */
+    poll(now) {
+      const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()).filter(Boolean) : [];
+      const stick = { left: false, right: false, up: false, down: false };
+      const buttons = new Set();
+      for (const pad of pads) {
+        const x = pad.axes[0] || 0;
+        const y = pad.axes[1] || 0;
+        if (x < -this.deadzone) stick.left = true;
+        if (x > this.deadzone) stick.right = true;
+        if (y < -this.deadzone) stick.up = true;
+        if (y > this.deadzone) stick.down = true;
+        pad.buttons.forEach((button, index) => {
+          if (button.pressed) buttons.add(index);
+        });
       }
-
-      // Dive: pressing down while in air triggers a fast drop
-      if (!this.onGround && Input.down && !this.dive) {
-        this.dive = true;
-        this.velY = 12;
+      const pressedButtons = [...buttons].filter((index) => !this.heldButtons.has(index));
+      this.heldButtons = buttons;
+      if (Input.capture) {
+        if (pressedButtons.length > 0) Input.capture(`pad:${pressedButtons[0]}`);
+        return;
       }
-
-      // Update coyote timer when on ground
-      if (this.onGround) {
-        this.coyoteTimer = 6; // roughly 0.1s
-      } else if (this.coyoteTimer > 0) {
-        this.coyoteTimer -= dt;
+      Input.setPad(stick, buttons);
+      // menu controls are fixed: stick or d-pad, A and B
+      const held = new Set(Object.keys(stick).filter((dir) => stick[dir] || buttons.has(this.dpad[dir])));
+      for (const name of Object.keys(this.buttons)) {
+        if (buttons.has(this.buttons[name])) held.add(name);
       }
-
-      // Jump buffering: if jump requested set buffer
-      if (Input.consumeJump()) {
-        this.jumpBuffer = 6; // 0.1s
-      } else if (this.jumpBuffer > 0) {
-        this.jumpBuffer -= dt;
+      const pressed = [...held].filter((name) => !this.held.has(name));
+      this.held = held;
+      if (Game.getOverlay()) {
+        // only pause (to resume) acts on a menu
+        if (pressedButtons.some((index) => Input.actionFor(`pad:${index}`) === 'pause')) {
+          Game.togglePause();
+        } else {
+          this.navigate(held, pressed, now);
+        }
+      } else {
+        pressedButtons.forEach((index) => Input.press(`pad:${index}`));
       }
-
-      // Jump when jump buffer and coyote
-      if (this.jumpBuffer > 0) {
-        if (this.coyoteTimer > 0) {
-          // normal jump
-          this.velY = -this.jumpForce;
-          this.onGround = false;
-          this.coyoteTimer = 0;
-          this.jumpBuffer = 0;
-        } else if (this.onWall) {
-          // wall jump
-          this.velY = -this.jumpForce * 0.9;
-          this.velX = -this.wallDir * (this.maxSpeed * 0.8);
-          this.onWall = false;
-          this.jumpBuffer = 0;
+    },
+    /**
+     * Menu controls: directions step the focus through the visible
+     * buttons of the active overlay, A clicks and B goes back.
+     */
+    navigate(held, pressed, now) {
+      const dirs = ['up', 'down', 'left', 'right'].filter((dir) => held.has(dir));
+      if (dirs.length > 0) {
+        const fresh = dirs.some((dir) => pressed.includes(dir));
+        if (fresh || now >= this.nextRepeat) {
+          this.moveFocus(dirs[0] === 'up' || dirs[0] === 'left' ? -1 : 1);
+          this.nextRepeat = now + (fresh ? this.repeatDelay : this.repeatInterval);
         }
       }
+      if (pressed.includes('a')) {
+        const focused = this.menuButtons().find((btn) => btn === document.activeElement);
+        if (focused) {
+          focused.click();
+          // don't leave Enter able to press it again during play
+          if (!Game.getOverlay()) focused.blur();
+        } else {
+          this.moveFocus(1);
+        }
+      } else if (pressed.includes('b')) {
+        Game.menuBack();
+      }
+    },
+    /**
+     * Enabled, visible buttons of the active overlay in page order.
+     */
+    menuButtons() {
+      const overlay = Game.getOverlay();
+      if (!overlay) return [];
+      return Array.from(overlay.querySelectorAll('button')).filter((btn) => !btn.disabled && btn.offsetParent !== null);
+    },
+    moveFocus(delta) {
+      const buttons = this.menuButtons();
+      if (buttons.length === 0) return;
+      const index = buttons.indexOf(document.activeElement);
+      const next = index < 0 ? 0 : (index + delta + buttons.length) % buttons.length;
+      buttons[next].focus();
+    },
+  };
 
-      // apply gravity
-      this.velY += this.gravity;
-      if (this.velY > 15) this.velY = 15;
-
-      // Proposed new position
-      let nextX = this.x + this.velX;
-      let nextY = this.y + this.velY;
-
-      // Query level collision and adjust accordingly
-      const coll = level.collide(this, nextX, nextY);
-      this.x = coll.x;
-      this.y = coll.y;
-      this.onGround = coll.onGround;
-      this.onWall = coll.onWall;
-      this.wallDir = coll.wallDir;
-      // bounce pad interaction
-      if (coll.bounce) {
-        this.velY = -this.jumpForce * 1.5;
-        this.dive = false;
-      }
-      // hazard check
-      if (coll.die) {
-        Game.resetLevel();
-        return;
+  /**
+   * On-screen touch controls for phones and tablets.  A layer over
+   * the canvas holds zones for left, right, down, jump and pause.
+   * Every pointer on the layer is hit-tested against the zones on
+   * each move, so several fingers can be down at once and a finger
+   * can slide from one zone to the next; the zones held are fed to
+   * Input like a third keyboard.  The layer appears by itself on
+   * the first touch (or always/never, depending on the mode set on
+   * the controls screen) and only while a level is being played.
+   */
+  const Touch = {
+    defaults: { mode: 'auto', size: 1, opacity: 0.4, layout: 'right' },
+    settings: null,
+    // set once a touch has been seen, for the 'auto' mode
+    detected: false,
+    // zone name held by each active pointer id
+    pointers: new Map(),
+    zones: ['left', 'right', 'down', 'jump', 'pause'],
+    // zone size in CSS pixels at size 1
+    baseSize: 76,
+    init() {
+      if (!this.settings) this.loadSettings(null);
+      touchLayer.innerHTML = '';
+      const labels = { left: '◀', right: '▶', down: '▼', jump: '▲', pause: '❚❚' };
+      this.elements = {};
+      for (const zone of this.zones) {
+        const el = document.createElement('div');
+        el.className = 'touch-zone';
+        el.textContent = labels[zone];
+        touchLayer.appendChild(el);
+        this.elements[zone] = el;
       }
-      if (coll.win) {
-        Game.completeLevel();
-        return;
+      window.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'touch') this.detected = true;
+      });
+      touchLayer.addEventListener('pointerdown', (e) => this.onPointer(e, true));
+      touchLayer.addEventListener('pointermove', (e) => this.onPointer(e, false));
+      touchLayer.addEventListener('pointerup', (e) => this.release(e));
+      touchLayer.addEventListener('pointercancel', (e) => this.release(e));
+      touchModeSelect.onchange = () => this.setOption('mode', touchModeSelect.value);
+      touchLayoutSelect.onchange = () => this.setOption('layout', touchLayoutSelect.value);
+      touchSizeInput.oninput = () => this.setOption('size', parseFloat(touchSizeInput.value));
+      touchOpacityInput.oninput = () => this.setOption('opacity', parseFloat(touchOpacityInput.value));
+      this.syncSettingsUI();
+      this.layout();
+    },
+    /**
+     * Use saved settings, filling in defaults for anything missing.
+     */
+    loadSettings(saved) {
+      this.settings = Object.assign({}, this.defaults, saved || {});
+    },
+    setOption(name, value) {
+      this.settings[name] = value;
+      this.layout();
+      Game.saveProgress();
+    },
+    syncSettingsUI() {
+      touchModeSelect.value = this.settings.mode;
+      touchLayoutSelect.value = this.settings.layout;
+      touchSizeInput.value = this.settings.size;
+      touchOpacityInput.value = this.settings.opacity;
+    },
+    /**
+     * Place the zones for the current size and layout.  Movement
+     * sits in one bottom corner and down/jump in the other; 'left'
+     * layout swaps them for left-handed play.
+     */
+    layout() {
+      const size = Math.round(this.baseSize * this.settings.size);
+      const gap = Math.round(size * 0.25);
+      // distance of each zone from the side it is anchored to
+      const places = {
+        left: { side: 'move', offset: gap, bottom: gap },
+        right: { side: 'move', offset: gap * 2 + size, bottom: gap },
+        down: { side: 'act', offset: gap * 2 + size, bottom: gap },
+        jump: { side: 'act', offset: gap, bottom: gap + size / 2 },
+      };
+      const moveSide = this.settings.layout === 'left' ? 'right' : 'left';
+      const actSide = moveSide === 'left' ? 'right' : 'left';
+      for (const zone of this.zones) {
+        const style = this.elements[zone].style;
+        style.width = `${size}px`;
+        style.height = `${size}px`;
+        style.lineHeight = `${size}px`;
+        style.fontSize = `${Math.round(size * 0.4)}px`;
+        style.opacity = this.settings.opacity;
+        style.left = style.right = style.top = style.bottom = '';
+        if (zone === 'pause') {
+          // pause is smaller and out of the way at the top
+          style.width = style.height = style.lineHeight = `${Math.round(size * 0.6)}px`;
+          style.fontSize = `${Math.round(size * 0.25)}px`;
+          style.top = `${gap}px`;
+          style[actSide] = `${gap}px`;
+        } else {
+          const place = places[zone];
+          style[place.side === 'move' ? moveSide : actSide] = `${place.offset}px`;
+          style.bottom = `${place.bottom}px`;
+        }
+      }
+    },
+    /**
+     * Whether the layer should be shown at all in the current mode.
+     */
+    enabled() {
+      return this.settings.mode === 'on' || (this.settings.mode === 'auto' && this.detected);
+    },
+    /**
+     * Called every frame: show the layer only while playing and
+     * keep it over the canvas.  Hiding it releases every zone.
+     */
+    update() {
+      const visible = this.enabled() && Game.state === 'playing';
+      if (visible !== touchLayer.classList.contains('active')) {
+        touchLayer.classList.toggle('active', visible);
+        if (!visible) {
+          this.pointers.clear();
+          this.apply();
+        }
       }
-      if (coll.collectedCoin) {
-        Game.addCoin();
+      if (visible) {
+        const rect = canvas.getBoundingClientRect();
+        touchLayer.style.left = `${rect.left}px`;
+        touchLayer.style.top = `${rect.top}px`;
+        touchLayer.style.width = `${rect.width}px`;
+        touchLayer.style.height = `${rect.height}px`;
       }
-      // Reset dive when touching ground
-      if (this.onGround) {
-        this.dive = false;
+    },
+    /**
+     * The zone under a point, with a little slack around each zone
+     * for fat fingers.
+     */
+    zoneAt(x, y) {
+      const slack = 12;
+      return (
+        this.zones.find((zone) => {
+          const r = this.elements[zone].getBoundingClientRect();
+          return x >= r.left - slack && x <= r.right + slack && y >= r.top - slack && y <= r.bottom + slack;
+        }) || null
+      );
+    },
+    onPointer(e, isDown) {
+      if (!isDown && !this.pointers.has(e.pointerId)) return;
+      e.preventDefault();
+      if (isDown && touchLayer.setPointerCapture) touchLayer.setPointerCapture(e.pointerId);
+      const zone = this.zoneAt(e.clientX, e.clientY);
+      const previous = this.pointers.get(e.pointerId);
+      this.pointers.set(e.pointerId, zone);
+      if (zone === previous && !isDown) return;
+      // entering jump (by tapping or sliding onto it) queues a jump
+      if (zone === 'jump') Input.jumpRequested = true;
+      if (zone === 'pause' && isDown) Game.togglePause();
+      this.apply();
+    },
+    release(e) {
+      if (!this.pointers.delete(e.pointerId)) return;
+      this.apply();
+    },
+    apply() {
+      const held = new Set(this.pointers.values());
+      for (const zone of this.zones) {
+        this.elements[zone].classList.toggle('held', held.has(zone));
       }
+      Input.setTouch({
+        left: held.has('left'),
+        right: held.has('right'),
+        up: held.has('jump'),
+        down: held.has('down'),
+      });
+    },
+  };
+
+  /**
+   * Animation state for one drawn player.  The state machine is
+   * driven purely by the Player's fields after each simulation
+   * step (idle, run, jump, fall, slide, dive, wall cling and
+   * hanging from a ledge), so live runs, ghosts and replays
+   * animate the same way.  It also tracks the facing direction,
+   * the run cycle (which advances with horizontal speed), squash
+   * and stretch on landing and take-off, and the death animation
+   * started by die().  pose() and skeleton() describe the stickman
+   * for the Renderer.
+   */
+  class PlayerAnimator {
+    constructor() {
+      this.state = 'idle';
+      // simulation steps spent in the current state
+      this.stateTime = 0;
+      this.facing = 1;
+      this.runPhase = 0;
+      // positive squashes (landing), negative stretches (take-off)
+      this.squash = 0;
+      this.wasOnGround = true;
+      this.fallSpeed = 0;
+      // seconds since death, or null while alive
+      this.deathTime = null;
+      this.deathDuration = 0.7;
     }
 
     /**
-     * Draw the player.  The camera offset is subtracted to
-     * translate world coordinates to screen coordinates.  For
-     * simplicity the player is rendered as a rectangle coloured
-     * according to the selected skin.
+     * Advance by one simulation step of dt (in 1/60ths of a second).
      */
-    draw(ctx, camera) {
-      ctx.fillStyle = this.color;
-      const drawX = this.x - camera.x;
-      const drawY = this.y - camera.y;
-      ctx.fillRect(drawX, drawY, this.width, this.height);
+    update(player, dt) {
+      const next = this.pick(player);
+      if (next === this.state) {
+        this.stateTime += dt;
+      } else {
+        this.state = next;
+        this.stateTime = 0;
+      }
+      if (next === 'hang') {
+        this.facing = player.ledge.dir;
+      } else if (next === 'wall') {
+        this.facing = player.wallDir;
+      } else if (player.velX > 0.3) {
+        this.facing = 1;
+      } else if (player.velX < -0.3) {
+        this.facing = -1;
+      }
+      this.runPhase += Math.abs(player.velX) * dt * 0.1;
+      if (player.onGround && !this.wasOnGround) {
+        // landing squash grows with the speed of the fall
+        this.squash = Math.min(0.35, this.fallSpeed / 35);
+      } else if (!player.onGround && this.wasOnGround && player.velY < 0) {
+        this.squash = -0.2;
+      }
+      this.squash *= Math.pow(0.8, dt);
+      if (!player.onGround) this.fallSpeed = Math.max(0, player.velY);
+      this.wasOnGround = player.onGround;
     }
-  }
 
-  /**
-   * Represents a single level.  Each level is built from a 2D
-   * array of characters.  The level class exposes collision
-   * detection and hazard/coin management, along with drawing
-   * routines.  Moving hazards are stored separately and updated
-   * each frame.
-   */
-  class Level {
-    constructor(mapArray) {
-      // convert each row into an array of characters for easy
-      // modification
-      this.map = mapArray.map((row) => row.split(''));
-      this.rows = this.map.length;
-      this.cols = this.map[0].length;
-      this.tileSize = 40;
-      this.spawnX = 0;
-      this.spawnY = 0;
-      this.coins = [];
-      this.hazards = [];
-      this.parse();
+    pick(player) {
+      if (player.grabbing) return 'hang';
+      if (player.sliding) return 'slide';
+      if (player.dive) return 'dive';
+      if (player.onGround) return Math.abs(player.velX) > 0.5 ? 'run' : 'idle';
+      if (player.onWall) return 'wall';
+      return player.velY < 0 ? 'jump' : 'fall';
     }
 
     /**
-     * Iterate through map and populate spawn, coins and moving
-     * hazards.  Replace consumed tokens with blanks so the
-     * underlying map remains free for collision queries.
-     */
-    parse() {
-      for (let y = 0; y < this.rows; y++) {
-        for (let x = 0; x < this.cols; x++) {
-          const ch = this.map[y][x];
-          if (ch === 'P') {
-            this.spawnX = x * this.tileSize;
-            // spawn on top of tile
-            this.spawnY = y * this.tileSize;
-            this.map[y][x] = ' ';
-          } else if (ch === 'C') {
-            this.coins.push({ x: x * this.tileSize + this.tileSize / 2, y: y * this.tileSize + this.tileSize / 2, collected: false });
-            this.map[y][x] = ' ';
-          } else if (ch === 'H') {
-            // create moving horizontal hazard; moves left/right 3 tiles
-            const baseX = x * this.tileSize;
-            const baseY = y * this.tileSize;
-            const range = this.tileSize * 3;
-            const speed = 2 + Math.random() * 1; // vary speed slightly
-            this.hazards.push({
-              type: 'H',
-              baseX,
-              y: baseY,
-              x: baseX,
-              width: this.tileSize,
-              height: this.tileSize,
-              range,
-              dir: Math.random() < 0.5 ? -1 : 1,
-              speed,
-            });
-            this.map[y][x] = ' ';
-          }
-        }
-      }
+     * Start the death animation.
+     */
+    die() {
+      this.deathTime = 0;
     }
 
     /**
-     * Update moving hazards positions.  Hazards move between
-     * baseX ± range and bounce off their extents.  Only horizontal
-     * moving hazards are implemented here for simplicity.
-     */
-    updateHazards(dt) {
-      for (const hz of this.hazards) {
-        if (hz.type === 'H') {
-          hz.x += hz.dir * hz.speed;
-          if (hz.x < hz.baseX - hz.range) {
-            hz.x = hz.baseX - hz.range;
-            hz.dir *= -1;
-          } else if (hz.x > hz.baseX + hz.range) {
-            hz.x = hz.baseX + hz.range;
-            hz.dir *= -1;
-          }
+     * Joint angles for the current state, in radians.  Limb angles
+     * are measured from hanging straight down, positive towards
+     * the facing direction; knee and elbow bends are relative to
+     * the upper limb.  lean tilts the torso forwards.
+     */
+    pose() {
+      const t = this.stateTime;
+      const s = Math.sin(this.runPhase);
+      switch (this.state) {
+        case 'run':
+          return {
+            lean: 0.25,
+            legs: [
+              [0.8 * s, -0.3 - 0.9 * Math.max(0, -s)],
+              [-0.8 * s, -0.3 - 0.9 * Math.max(0, s)],
+            ],
+            arms: [
+              [-0.9 * s, 1.2],
+              [0.9 * s, 1.2],
+            ],
+          };
+        case 'jump':
+          return {
+            lean: 0.1,
+            legs: [
+              [0.7, -1.3],
+              [-0.1, -0.4],
+            ],
+            arms: [
+              [2.6, 0.2],
+              [2.2, 0.3],
+            ],
+          };
+        case 'fall':
+          return {
+            lean: 0,
+            legs: [
+              [0.3, -0.5],
+              [-0.3, -0.2],
+            ],
+            arms: [
+              [1.9, 0.4],
+              [-1.6, 0.4],
+            ],
+          };
+        case 'slide':
+          return {
+            lean: -1.15,
+            legs: [
+              [1.45, 0],
+              [1.2, -0.2],
+            ],
+            arms: [
+              [-0.7, 0],
+              [-0.4, 0.3],
+            ],
+          };
+        case 'dive':
+          return {
+            lean: 0.35,
+            legs: [
+              [-0.2, 0],
+              [-0.4, 0],
+            ],
+            arms: [
+              [3, 0],
+              [2.9, 0],
+            ],
+          };
+        case 'hang':
+          return {
+            lean: 0.05,
+            legs: [
+              [0.2, -0.3],
+              [-0.1, -0.1],
+            ],
+            arms: [
+              [2.9, 0.1],
+              [2.7, 0.2],
+            ],
+          };
+        case 'wall':
+          return {
+            lean: 0.15,
+            legs: [
+              [0.9, -1.6],
+              [0.5, -1.2],
+            ],
+            arms: [
+              [2.4, 0.5],
+              [2, 0.5],
+            ],
+          };
+        default: {
+          // idle: a slow breathing sway
+          const sway = 0.04 * Math.sin(t * 0.05);
+          return {
+            lean: 0.05 + sway,
+            legs: [
+              [0.12, 0],
+              [-0.12, 0],
+            ],
+            arms: [
+              [0.15 + sway, 0.2],
+              [-0.15 - sway, 0.2],
+            ],
+          };
         }
       }
     }
 
     /**
-     * Determine if a given tile character is solid.  Solid tiles
-     * impede movement; breakable tiles ('X') are considered solid
-     * until broken via dive.
+     * Stickman line segments and head for the current pose, in
+     * pixels relative to the middle of the player's feet with x
+     * towards the facing direction.  The hips are raised until the
+     * lowest foot touches the ground.
      */
-    isSolid(ch) {
-      return ch === '#' || ch === 'X' || ch === 'B';
+    skeleton() {
+      const pose = this.pose();
+      const upper = 8.5;
+      const lower = 8.5;
+      const torso = 13;
+      const headRadius = 5;
+      const limb = (from, angle, length) => ({
+        x: from.x + Math.sin(angle) * length,
+        y: from.y + Math.cos(angle) * length,
+      });
+      const hip = { x: 0, y: 0 };
+      const segments = [];
+      const feet = [];
+      for (const [hipAngle, knee] of pose.legs) {
+        const kneePos = limb(hip, hipAngle, upper);
+        const foot = limb(kneePos, hipAngle + knee, lower);
+        segments.push([hip, kneePos], [kneePos, foot]);
+        feet.push(foot);
+      }
+      const neck = { x: Math.sin(pose.lean) * torso, y: -Math.cos(pose.lean) * torso };
+      const shoulder = { x: neck.x * 0.85, y: neck.y * 0.85 };
+      segments.push([hip, neck]);
+      for (const [angle, elbow] of pose.arms) {
+        const elbowPos = limb(shoulder, angle, 7);
+        const hand = limb(elbowPos, angle + elbow, 7);
+        segments.push([shoulder, elbowPos], [elbowPos, hand]);
+      }
+      const head = {
+        x: neck.x + Math.sin(pose.lean) * (headRadius + 1),
+        y: neck.y - Math.cos(pose.lean) * (headRadius + 1),
+        r: headRadius,
+      };
+      // lift everything so the lowest foot is on the ground
+      const lift = Math.max(3, ...feet.map((foot) => foot.y));
+      const shift = (p) => ({ x: p.x, y: p.y - lift });
+      return {
+        segments: segments.map(([a, b]) => [shift(a), shift(b)]),
+        head: Object.assign(shift(head), { r: head.r }),
+      };
     }
+  }
 
+  /**
+   * Pooled particle system for visual effects.  A fixed pool of
+   * particle objects is allocated up front; live particles are
+   * kept at the front of the pool and a dead one is swapped with
+   * the last live one, so emitting and updating never allocate.
+   * Particles live in world coordinates and are drawn through the
+   * camera.  Effects are purely cosmetic and use Math.random.  The
+   * density setting scales how many particles each effect emits;
+   * 'off' emits none.
+   */
+  const Particles = {
+    densities: { off: 0, low: 0.5, normal: 1, high: 2 },
+    setting: 'normal',
+    max: 800,
+    pool: [],
+    count: 0,
+    init() {
+      for (let i = 0; i < this.max; i++) {
+        this.pool.push({ x: 0, y: 0, vx: 0, vy: 0, life: 0, age: 0, size: 0, color: '', gravity: 0 });
+      }
+    },
+    setDensity(setting) {
+      this.setting = setting in this.densities ? setting : 'normal';
+      if (this.setting === 'off') this.clear();
+    },
+    clear() {
+      this.count = 0;
+    },
     /**
-     * Collision detection and response.  Accepts the player and
-     * proposed new coordinates (nextX, nextY).  Performs axis
-     * aligned bounding box checks against the tile map and moving
-     * hazards.  Adjusts the player's position and flags based on
-     * collisions.  Returns an object with corrected x/y and
-     * booleans for onGround, onWall, wallDir, bounce, die, win and
-     * collectedCoin.
-     */
-    collide(player, nextX, nextY) {
-      const ts = this.tileSize;
-      let px = nextX;
-      let py = nextY;
-      let onGround = false;
-      let onWall = false;
-      let wallDir = 0;
-      let bounce = false;
-      let die = false;
-      let win = false;
-      let collectedCoin = false;
-
-      const w = player.width;
-      const h = player.height;
-
-      // Helper to check tile and respond
-      const checkTile = (tx, ty, horizontal) => {
-        if (ty < 0 || ty >= this.rows || tx < 0 || tx >= this.cols) return;
-        const ch = this.map[ty][tx];
-        if (this.isSolid(ch)) {
-          const tileX = tx * ts;
-          const tileY = ty * ts;
-          if (ch === 'X' && player.dive && player.velY > 0) {
-            // breakable tile broken by dive
-            this.map[ty][tx] = ' ';
-            return;
-          }
-          if (horizontal) {
-            // horizontal collision
-            if (player.velX > 0) {
-              px = tileX - w;
-              player.velX = 0;
-              onWall = true;
-              wallDir = 1;
-            } else if (player.velX < 0) {
-              px = tileX + ts;
-              player.velX = 0;
-              onWall = true;
-              wallDir = -1;
-            }
-          } else {
-            // vertical collision
-            if (player.velY > 0) {
-              py = tileY - h;
-              player.velY = 0;
-              onGround = true;
-            } else if (player.velY < 0) {
-              py = tileY + ts;
-              player.velY = 0;
-            }
-            if (ch === 'B' && player.velY > 0) {
-              bounce = true;
-            }
-          }
-        } else if (ch === 'S') {
-          // Hazard tile
-          die = true;
-        } else if (ch === 'F') {
-          // Flag tile
-          win = true;
-        }
-      };
-
-      // Horizontal collisions
-      // compute vertical tile range that player occupies
-      const top = Math.floor(py / ts);
-      const bottom = Math.floor((py + h - 1) / ts);
-      if (player.velX !== 0) {
-        if (player.velX > 0) {
-          // moving right: check tiles to right of player's right edge
-          const rightEdge = px + w;
-          const col = Math.floor(rightEdge / ts);
-          for (let row = top; row <= bottom; row++) {
-            checkTile(col, row, true);
-          }
-        } else {
-          // moving left: check tiles to left of player's left edge
-          const leftEdge = px;
-          const col = Math.floor(leftEdge / ts);
-          for (let row = top; row <= bottom; row++) {
-            checkTile(col, row, true);
-          }
-        }
+     * Emit a burst of particles at (x, y).  n is scaled by the
+     * density.  Directions are spread evenly over `spread` radians
+     * around `angle` (0 points right, -π/2 up) with some jitter;
+     * speed and size are [min, max] ranges in pixels and pixels per
+     * second.
+     */
+    emit(x, y, n, options) {
+      const { angle = 0, spread = Math.PI * 2, speed = [50, 150], life = 0.5, size = [2, 3], gravity = 0 } = options;
+      const color = options.color || '#fff';
+      const total = Math.round(n * this.densities[this.setting]);
+      for (let i = 0; i < total && this.count < this.max; i++) {
+        const p = this.pool[this.count++];
+        const dir = angle + (total > 1 ? (i / (total - 1) - 0.5) * spread : 0) + (Math.random() - 0.5) * 0.3;
+        const v = speed[0] + Math.random() * (speed[1] - speed[0]);
+        p.x = x;
+        p.y = y;
+        p.vx = Math.cos(dir) * v;
+        p.vy = Math.sin(dir) * v;
+        p.life = life * (0.7 + Math.random() * 0.6);
+        p.age = 0;
+        p.size = size[0] + Math.random() * (size[1] - size[0]);
+        p.color = Array.isArray(color) ? color[i % color.length] : color;
+        p.gravity = gravity;
       }
-
-      // Vertical collisions
-      const left = Math.floor(px / ts);
-      const right = Math.floor((px + w - 1) / ts);
-      if (player.velY !== 0) {
-        if (player.velY > 0) {
-          // moving down: check tiles below player's bottom
-          const bottomEdge = py + h;
-          const row = Math.floor(bottomEdge / ts);
-          for (let col = left; col <= right; col++) {
-            checkTile(col, row, false);
-          }
-        } else {
-          // moving up: check tiles above player's top
-          const topEdge = py;
-          const row = Math.floor(topEdge / ts);
-          for (let col = left; col <= right; col++) {
-            checkTile(col, row, false);
-          }
+    },
+    /**
+     * Advance every live particle by dt seconds and recycle the
+     * ones that have expired.
+     */
+    update(dt) {
+      let i = 0;
+      while (i < this.count) {
+        const p = this.pool[i];
+        p.age += dt;
+        if (p.age >= p.life) {
+          // swap the last live particle into this slot
+          this.count--;
+          this.pool[i] = this.pool[this.count];
+          this.pool[this.count] = p;
+          continue;
         }
+        p.vy += p.gravity * dt;
+        p.x += p.vx * dt;
+        p.y += p.vy * dt;
+        i++;
       }
-
-      // Collect coins
-      for (const coin of this.coins) {
-        if (!coin.collected) {
-          const dx = px + w / 2 - coin.x;
-          const dy = py + h / 2 - coin.y;
-          // simple bounding radius check
-          if (Math.abs(dx) < ts / 2 && Math.abs(dy) < ts / 2) {
-            coin.collected = true;
-            collectedCoin = true;
-          }
-        }
+    },
+    /**
+     * Draw live particles as squares that fade over their life.
+     */
+    draw(ctx, camera) {
+      if (this.count === 0) return;
+      ctx.save();
+      ctx.translate(-camera.x, -camera.y);
+      for (let i = 0; i < this.count; i++) {
+        const p = this.pool[i];
+        ctx.globalAlpha = 1 - p.age / p.life;
+        ctx.fillStyle = p.color;
+        ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
       }
-
-      // Moving hazard collisions
-      for (const hz of this.hazards) {
-        const hx = hz.x;
-        const hy = hz.y;
-        const hw = hz.width;
-        const hh = hz.height;
-        if (px < hx + hw && px + w > hx && py < hy + hh && py + h > hy) {
-          die = true;
-        }
+      ctx.restore();
+    },
+    /**
+     * Emit the effect for a simulation event, if it has one.  player
+     * and level are the ones that raised it, color the skin colour
+     * and theme the level's colour theme.
+     */
+    forEvent(ev, player, level, color, theme) {
+      const feetX = player.x + player.width / 2;
+      const feetY = player.y + player.height;
+      if (ev.type === 'land' && ev.speed > 4) {
+        this.emit(feetX, feetY, Math.min(14, ev.speed), {
+          angle: -Math.PI / 2,
+          spread: Math.PI * 0.9,
+          speed: [30, 40 + ev.speed * 8],
+          life: 0.35,
+          color: '#ccc',
+          gravity: 300,
+        });
+      } else if (ev.type === 'wallJump') {
+        // sparks fly off the wall, away from it
+        const wallX = ev.dir > 0 ? player.x + player.width : player.x;
+        this.emit(wallX, player.y + player.height / 2, 10, {
+          angle: ev.dir > 0 ? Math.PI : 0,
+          spread: Math.PI * 0.8,
+          speed: [100, 240],
+          life: 0.3,
+          size: [1.5, 2.5],
+          color: ['#fd0', '#fa0', '#fff'],
+          gravity: 400,
+        });
+      } else if (ev.type === 'break') {
+        const ts = level.tileSize;
+        this.emit((ev.tx + 0.5) * ts, (ev.ty + 0.5) * ts, 16, {
+          angle: -Math.PI / 2,
+          spread: Math.PI * 1.6,
+          speed: [80, 220],
+          life: 0.8,
+          size: [4, 7],
+          color: Renderer.palette(theme).breakable,
+          gravity: 900,
+        });
+      } else if (ev.type === 'defeat') {
+        this.emit(ev.x, ev.y, 18, {
+          angle: -Math.PI / 2,
+          spread: Math.PI * 1.4,
+          speed: [80, 200],
+          life: 0.5,
+          size: [3, 5],
+          color: ['#a3c', '#fff'],
+          gravity: 600,
+        });
+      } else if (ev.type === 'key' || ev.type === 'door') {
+        const ts = level.tileSize;
+        const color = PlatformerTiles.KEY_COLORS[ev.color].color;
+        this.emit((ev.tx + 0.5) * ts, (ev.ty + 0.5) * ts, ev.type === 'key' ? 12 : 20, {
+          speed: [60, 180],
+          life: 0.5,
+          size: [2, 4],
+          color: [color, '#fff'],
+          gravity: ev.type === 'key' ? 0 : 500,
+        });
+      } else if (ev.type === 'coin') {
+        this.emit(ev.x, ev.y, 12, { speed: [80, 140], life: 0.4, color: ['#fc0', '#fff3a0'] });
+      } else if (ev.type === 'checkpoint') {
+        const ts = level.tileSize;
+        this.emit((ev.tx + 0.5) * ts, ev.ty * ts + ts * 0.3, 14, {
+          angle: -Math.PI / 2,
+          spread: Math.PI,
+          speed: [60, 160],
+          life: 0.6,
+          color: ['#4c4', '#bfb'],
+          gravity: 200,
+        });
+      } else if (ev.type === 'death') {
+        this.emit(feetX, player.y + player.height / 2, 30, {
+          speed: [100, 320],
+          life: 0.8,
+          size: [2, 4],
+          color: [color, '#e22'],
+          gravity: 500,
+        });
       }
+    },
+    /**
+     * Dust kicked up behind a sliding player; called every
+     * simulation step.
+     */
+    slideDust(player) {
+      if (!player.sliding || Math.random() > 0.6) return;
+      const backX = player.velX > 0 ? player.x : player.x + player.width;
+      this.emit(backX, player.y + player.height, 1, {
+        angle: player.velX > 0 ? -Math.PI * 0.85 : -Math.PI * 0.15,
+        spread: 0.6,
+        speed: [20, 70],
+        life: 0.4,
+        color: '#ccc',
+        gravity: 150,
+      });
+    },
+  };
 
-      return { x: px, y: py, onGround, onWall, wallDir, bounce, die, win, collectedCoin };
-    }
-
+  /**
+   * Canvas drawing for the simulation objects.  The simulation
+   * classes carry no drawing code, so everything visual about
+   * tiles, coins, entities and the player lives here.  alpha is the
+   * interpolation factor between the last two simulation steps.
+   */
+  const Renderer = {
     /**
-     * Draw the static elements of the level (tiles), coins and
-     * moving hazards.  Only tiles within the viewport are drawn
-     * for performance.  Colours are chosen for clarity.
+     * Colour palettes selected by a level's meta.theme.  Only the
+     * background and walls change; entities, pads and coins keep
+     * their colours so they read the same in every theme.
      */
-    draw(ctx, camera) {
-      const ts = this.tileSize;
+    themes: {
+      default: { background: '#111', wall: '#666', breakable: '#886633' },
+      cave: { background: '#0d0b14', wall: '#4a4257', breakable: '#6b5233' },
+      sunset: { background: '#2a1424', wall: '#8a4f4a', breakable: '#a8743a' },
+    },
+    /**
+     * Return the palette for a theme name, falling back to the
+     * default palette for unknown names.
+     */
+    palette(theme) {
+      return this.themes[theme] || this.themes.default;
+    },
+    /**
+     * Draw the static elements of the level (tiles, each by its
+     * registered tile type), coins and entities (each by its
+     * registered entity type).  Only tiles within the viewport are
+     * drawn for performance.  Colours are chosen for clarity.
+     * Entities are interpolated by alpha like the player.  Coins
+     * whose ids are in banked were collected on an earlier run and
+     * are drawn as outlines.
+     */
+    drawLevel(ctx, level, camera, alpha = 1, theme = 'default', banked = []) {
+      const colors = this.palette(theme);
+      const ts = level.tileSize;
       const startCol = Math.floor(camera.x / ts);
-      const endCol = Math.ceil((camera.x + canvas.width) / ts);
+      const endCol = Math.ceil((camera.x + Viewport.width) / ts);
       const startRow = Math.floor(camera.y / ts);
-      const endRow = Math.ceil((camera.y + canvas.height) / ts);
+      const endRow = Math.ceil((camera.y + Viewport.height) / ts);
       for (let y = startRow; y < endRow; y++) {
-        if (y < 0 || y >= this.rows) continue;
+        if (y < 0 || y >= level.rows) continue;
         for (let x = startCol; x < endCol; x++) {
-          if (x < 0 || x >= this.cols) continue;
-          const ch = this.map[y][x];
-          const drawX = x * ts - camera.x;
-          const drawY = y * ts - camera.y;
-          if (ch === '#') {
-            ctx.fillStyle = '#666';
-            ctx.fillRect(drawX, drawY, ts, ts);
-          } else if (ch === 'S') {
-            ctx.fillStyle = '#b00';
-            ctx.fillRect(drawX + ts * 0.2, drawY + ts * 0.2, ts * 0.6, ts * 0.6);
-          } else if (ch === 'B') {
-            ctx.fillStyle = '#37f';
-            ctx.fillRect(drawX + ts * 0.1, drawY + ts * 0.1, ts * 0.8, ts * 0.8);
-          } else if (ch === 'F') {
-            ctx.fillStyle = '#fd0';
-            ctx.beginPath();
-            ctx.moveTo(drawX + ts * 0.2, drawY + ts);
-            ctx.lineTo(drawX + ts * 0.8, drawY + ts * 0.5);
-            ctx.lineTo(drawX + ts * 0.2, drawY + ts * 0.2);
-            ctx.closePath();
-            ctx.fill();
-          } else if (ch === 'X') {
-            ctx.fillStyle = '#886633';
-            ctx.fillRect(drawX, drawY, ts, ts);
-          }
+          if (x < 0 || x >= level.cols) continue;
+          const tile = PlatformerTiles.getTile(level.map[y][x]);
+          if (tile.draw) tile.draw(ctx, x * ts - camera.x, y * ts - camera.y, ts, colors);
         }
       }
+      // draw checkpoints: a pole whose flag turns green once active
+      for (const cp of level.checkpoints) {
+        const px = cp.tx * ts - camera.x + ts * 0.3;
+        const py = cp.ty * ts - camera.y;
+        ctx.fillStyle = '#ccc';
+        ctx.fillRect(px, py + ts * 0.1, 3, ts * 0.9);
+        ctx.fillStyle = cp.active ? '#4c4' : cp.reached ? '#686' : '#888';
+        ctx.fillRect(px + 3, py + ts * 0.1, ts * 0.4, ts * 0.25);
+      }
       // draw coins
-      for (const coin of this.coins) {
+      for (const coin of level.coins) {
         if (!coin.collected) {
           const cx = coin.x - camera.x;
           const cy = coin.y - camera.y;
-          ctx.fillStyle = '#fc0';
           ctx.beginPath();
           ctx.arc(cx, cy, ts * 0.2, 0, Math.PI * 2);
-          ctx.fill();
+          if (banked.includes(coin.id)) {
+            ctx.strokeStyle = '#fc0';
+            ctx.lineWidth = 2;
+            ctx.stroke();
+          } else {
+            ctx.fillStyle = '#fc0';
+            ctx.fill();
+          }
+        }
+      }
+      // draw entities
+      for (const ent of level.entities) {
+        const entityType = PlatformerEntities.getEntityType(ent.type);
+        if (ent.removed || !entityType.draw) continue;
+        const ex = ent.prevX + (ent.x - ent.prevX) * alpha - camera.x;
+        const ey = ent.prevY + (ent.y - ent.prevY) * alpha - camera.y;
+        entityType.draw(ctx, ent, ex, ey);
+      }
+    },
+    /**
+     * Draw the keys the player holds and the countdown of the
+     * longest-running timed switch as a HUD line whose top left is
+     * at (x, y).  Draws nothing in levels without either.
+     */
+    drawStatus(ctx, level, x, y) {
+      for (const color of level.heldKeys) {
+        ctx.fillStyle = PlatformerTiles.KEY_COLORS[color].color;
+        ctx.beginPath();
+        ctx.arc(x + 6, y + 6, 5, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(x + 10, y + 4, 10, 4);
+        x += 26;
+      }
+      const timers = level.entities.filter((ent) => ent.type === 'timedSwitch' && ent.timer > 0);
+      if (timers.length > 0) {
+        const left = Math.max(...timers.map((ent) => ent.timer)) / 60;
+        ctx.fillStyle = '#6af';
+        ctx.font = '16px sans-serif';
+        ctx.fillText(`Switch: ${left.toFixed(1)}s`, x, y + 12);
+      }
+    },
+    /**
+     * Draw the player as a stickman posed by its animator.  The
+     * camera offset is subtracted to translate world coordinates to
+     * screen coordinates.  The figure is scaled to the player's
+     * standing height, mirrored to face its direction and squashed
+     * around its feet.  opacity below 1 is used for the replay
+     * ghost.
+     */
+    drawPlayer(ctx, player, anim, color, camera, alpha = 1, opacity = 1) {
+      const pos = player.renderPos(alpha);
+      const { segments, head } = anim.skeleton();
+      const scale = player.baseHeight / 41;
+      ctx.save();
+      ctx.globalAlpha = opacity;
+      ctx.translate(pos.x + player.width / 2 - camera.x, pos.y + player.height - camera.y);
+      ctx.scale(anim.facing * scale * (1 + anim.squash), scale * (1 - anim.squash));
+      ctx.strokeStyle = color;
+      ctx.fillStyle = color;
+      ctx.lineWidth = 3;
+      ctx.lineCap = 'round';
+      if (anim.deathTime === null) {
+        ctx.beginPath();
+        for (const [a, b] of segments) {
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+        }
+        ctx.stroke();
+        ctx.beginPath();
+        ctx.arc(head.x, head.y, head.r, 0, Math.PI * 2);
+        ctx.fill();
+      } else {
+        this.drawDeath(ctx, segments, head, anim.deathTime, anim.deathDuration);
+      }
+      ctx.restore();
+    },
+    /**
+     * The death animation: every bone and the head are thrown away
+     * from the body, tumble under gravity and fade out over
+     * duration seconds.  t is the time since death.  Coordinates
+     * are the stickman's own (see PlayerAnimator.skeleton()).
+     */
+    drawDeath(ctx, segments, head, t, duration) {
+      const gravity = 600;
+      ctx.globalAlpha *= Math.max(0, 1 - t / duration);
+      segments.forEach(([a, b], i) => {
+        const mx = (a.x + b.x) / 2;
+        const my = (a.y + b.y) / 2;
+        const vx = mx * 10 + (i % 2 === 0 ? -30 : 30);
+        const vy = -150 + my * 3;
+        const angle = ((i % 3) - 1) * 12 * t + 3 * t;
+        const cx = mx + vx * t;
+        const cy = my + vy * t + 0.5 * gravity * t * t;
+        const hx = ((b.x - a.x) / 2) * Math.cos(angle) - ((b.y - a.y) / 2) * Math.sin(angle);
+        const hy = ((b.x - a.x) / 2) * Math.sin(angle) + ((b.y - a.y) / 2) * Math.cos(angle);
+        ctx.beginPath();
+        ctx.moveTo(cx - hx, cy - hy);
+        ctx.lineTo(cx + hx, cy + hy);
+        ctx.stroke();
+      });
+      ctx.beginPath();
+      ctx.arc(head.x - 40 * t, head.y - 220 * t + 0.5 * gravity * t * t, head.r, 0, Math.PI * 2);
+      ctx.fill();
+    },
+  };
+
+  /**
+   * In-game level editor.  The level being edited is kept as a
+   * grid of tile characters plus a list of entities, and is
+   * drawn through the normal renderer from a preview Level that is
+   * rebuilt after every change.  Tiles are painted by clicking or
+   * dragging with the selected palette entry (right button
+   * erases); hazards are placed as entities whose patrol range is
+   * set by dragging the handles at either end.  Camera zones are
+   * not edited here, but those of an opened level are kept and
+   * outlined.  The arrow keys or WASD and the mouse wheel scroll
+   * the view.
+   */
+  const Editor = {
+    // palette labels for the characters of the level format;
+    // tiles and entities registered later are labelled with their
+    // name
+    labels: {
+      ' ': 'Erase',
+      '#': 'Wall',
+      S: 'Spikes',
+      B: 'Bounce',
+      X: 'Breakable',
+      F: 'Flag',
+      C: 'Coin',
+      K: 'Checkpoint',
+      H: 'Hazard',
+      E: 'Enemy',
+      T: 'Turret',
+      M: 'Platform',
+      V: 'Lift',
+      D: 'Falling',
+      U: 'Crumbling',
+      P: 'Spawn',
+    },
+    tool: '#',
+    // tile characters, indexed [row][col]
+    grid: null,
+    entities: [],
+    cameraZones: [],
+    meta: null,
+    // id of the custom level being edited, null for a new one
+    customId: null,
+    camera: { x: 0, y: 0 },
+    preview: null,
+    // active mouse drag: { mode: 'paint', ch } or { mode: 'range', hazard }
+    drag: null,
+    hover: null,
+    scrollSpeed: 12,
+    /**
+     * Build the palette and hook up the panel buttons and canvas
+     * mouse events.  Called once from Game.init().
+     */
+    init() {
+      editorPaletteDiv.innerHTML = '';
+      Object.keys(PlatformerLevelFormat.LEGEND).forEach((ch) => {
+        const btn = document.createElement('button');
+        const type = PlatformerTiles.TILES[ch] || PlatformerEntities.typeForChar(ch);
+        btn.textContent = this.labels[ch] || (type ? type.name : ch);
+        btn.title = PlatformerLevelFormat.LEGEND[ch];
+        btn.dataset.tile = ch;
+        btn.onclick = () => {
+          this.selectTool(ch);
+        };
+        editorPaletteDiv.appendChild(btn);
+      });
+      document.getElementById('editorResizeButton').onclick = () => {
+        this.resize(parseInt(editorWidthInput.value, 10), parseInt(editorHeightInput.value, 10));
+      };
+      for (const side of Object.keys(editorEdgeInputs)) {
+        editorEdgeInputs[side].onchange = () => this.refresh();
+      }
+      document.getElementById('editorTestButton').onclick = () => {
+        this.testPlay();
+      };
+      document.getElementById('editorSaveButton').onclick = () => {
+        this.save();
+      };
+      document.getElementById('editorExitButton').onclick = () => {
+        this.close();
+        Game.showMenu();
+      };
+      canvas.addEventListener('mousedown', (e) => this.onMouseDown(e));
+      canvas.addEventListener('mousemove', (e) => this.onMouseMove(e));
+      window.addEventListener('mouseup', () => {
+        this.drag = null;
+      });
+      canvas.addEventListener('contextmenu', (e) => {
+        if (Game.state === 'editor') e.preventDefault();
+      });
+      canvas.addEventListener(
+        'wheel',
+        (e) => {
+          if (Game.state !== 'editor') return;
+          e.preventDefault();
+          this.camera.x += e.shiftKey ? e.deltaY : e.deltaX || e.deltaY;
+          this.clampCamera();
+        },
+        { passive: false },
+      );
+    },
+    /**
+     * Open the editor on a level definition, or on a blank level
+     * when none is given.  Custom levels keep their id so saving
+     * overwrites them.
+     */
+    open(level = null) {
+      const source = level || this.blankLevel();
+      this.customId = level && level.id ? level.id : null;
+      this.meta = Object.assign({}, source.meta);
+      this.grid = source.tiles.map((row) => row.split(''));
+      this.entities = (source.entities || []).map((ent) => Object.assign({}, ent));
+      this.cameraZones = (source.cameraZones || []).map((zone) => Object.assign({}, zone));
+      // legacy 'H' tiles become hazard entities so they get handles
+      this.grid.forEach((row, y) => {
+        row.forEach((ch, x) => {
+          if (ch === 'H') {
+            row[x] = ' ';
+            this.entities.push({ type: 'hazard', x, y, range: 3, speed: 2.5, dir: 1 });
+          }
+        });
+      });
+      editorNameInput.value = this.meta.name;
+      editorAuthorInput.value = this.meta.author || '';
+      const edges = Object.assign({}, PlatformerLevelFormat.DEFAULT_EDGES, this.meta.edges);
+      for (const side of Object.keys(editorEdgeInputs)) {
+        editorEdgeInputs[side].checked = edges[side] === 'solid';
+      }
+      this.camera.x = 0;
+      this.camera.y = this.grid.length * 40 - Viewport.height;
+      this.clampCamera();
+      this.refresh();
+      this.showMessage('');
+      this.show();
+    },
+    /**
+     * A one-screen level with a floor, a spawn and a flag, walled
+     * in left and right.
+     */
+    blankLevel() {
+      const rows = 12;
+      const cols = 30;
+      const tiles = [];
+      for (let y = 0; y < rows; y++) {
+        let row = ' '.repeat(cols);
+        if (y === rows - 1) row = '#'.repeat(cols);
+        if (y === rows - 2) row = ' P' + ' '.repeat(cols - 4) + 'F ';
+        tiles.push(row);
+      }
+      return PlatformerLevelFormat.createLevel({ name: 'Untitled', edges: { left: 'solid', right: 'solid' }, tiles });
+    },
+    /**
+     * Make the editor the active screen.
+     */
+    show() {
+      Game.state = 'editor';
+      editorPanel.classList.add('active');
+      startScreen.classList.remove('active');
+      levelSelectScreen.classList.remove('active');
+      this.selectTool(this.tool);
+    },
+    /**
+     * Hide the editor panel.  The edited level stays in memory.
+     */
+    close() {
+      editorPanel.classList.remove('active');
+      this.drag = null;
+    },
+    selectTool(ch) {
+      this.tool = ch;
+      for (const btn of editorPaletteDiv.children) {
+        btn.classList.toggle('selected', btn.dataset.tile === ch);
+      }
+    },
+    showMessage(text, details = []) {
+      editorMessageDiv.textContent = text;
+      details.forEach((detail) => {
+        const line = document.createElement('div');
+        line.textContent = `• ${detail}`;
+        editorMessageDiv.appendChild(line);
+      });
+    },
+    /**
+     * The edited level as a level definition in the current format.
+     */
+    toDefinition() {
+      return PlatformerLevelFormat.createLevel({
+        name: editorNameInput.value.trim() || 'Untitled',
+        author: editorAuthorInput.value.trim(),
+        parTime: this.meta.parTime,
+        theme: this.meta.theme,
+        edges: this.edges(),
+        tiles: this.grid.map((row) => row.join('')),
+        entities: this.entities,
+        cameraZones: this.cameraZones,
+      });
+    },
+    /**
+     * The level edges as set by the panel checkboxes.
+     */
+    edges() {
+      const edges = {};
+      for (const side of Object.keys(editorEdgeInputs)) {
+        edges[side] = editorEdgeInputs[side].checked ? 'solid' : 'open';
+      }
+      return edges;
+    },
+    /**
+     * Rebuild the preview level after an edit and sync the size
+     * fields.
+     */
+    refresh() {
+      this.preview = new Level(this.toDefinition(), { random: () => 0.5 });
+      editorWidthInput.value = this.grid[0].length;
+      editorHeightInput.value = this.grid.length;
+    },
+    /**
+     * Resize the grid, keeping the top-left corner.  New cells are
+     * empty; hazards and camera zones that end up outside are
+     * removed.
+     */
+    resize(cols, rows) {
+      if (!(cols >= 5 && cols <= 1000 && rows >= 3 && rows <= 100)) {
+        this.showMessage('Width must be 5-1000 and height 3-100 tiles.');
+        return;
+      }
+      const grid = [];
+      for (let y = 0; y < rows; y++) {
+        const row = [];
+        for (let x = 0; x < cols; x++) {
+          row.push(this.grid[y] && this.grid[y][x] !== undefined ? this.grid[y][x] : ' ');
+        }
+        grid.push(row);
+      }
+      this.grid = grid;
+      this.entities = this.entities.filter((ent) => ent.x < cols && ent.y < rows);
+      this.cameraZones = this.cameraZones.filter((zone) => zone.x + zone.width <= cols && zone.y + zone.height <= rows);
+      this.clampCamera();
+      this.refresh();
+      this.showMessage('');
+    },
+    /**
+     * Tile coordinates under a mouse event, accounting for the
+     * canvas being scaled by CSS.
+     */
+    tileAt(e) {
+      const point = Viewport.toLogical(e.clientX, e.clientY);
+      const x = point.x + this.camera.x;
+      const y = point.y + this.camera.y;
+      return { tx: Math.floor(x / 40), ty: Math.floor(y / 40) };
+    },
+    inBounds(tx, ty) {
+      return ty >= 0 && ty < this.grid.length && tx >= 0 && tx < this.grid[0].length;
+    },
+    hazardAt(tx, ty) {
+      return this.entities.find((ent) => ent.type === 'hazard' && ent.x === tx && ent.y === ty);
+    },
+    /**
+     * Hazard whose range handle sits on the given tile, if any.
+     */
+    handleAt(tx, ty) {
+      return this.entities.find(
+        (ent) => ent.type === 'hazard' && ent.range > 0 && ent.y === ty && Math.abs(tx - ent.x) === ent.range,
+      );
+    },
+    onMouseDown(e) {
+      if (Game.state !== 'editor') return;
+      const { tx, ty } = this.tileAt(e);
+      if (!this.inBounds(tx, ty)) return;
+      const handle = this.handleAt(tx, ty);
+      if (handle) {
+        this.drag = { mode: 'range', hazard: handle };
+        return;
+      }
+      const ch = e.button === 2 ? ' ' : this.tool;
+      if (ch === 'H') {
+        // clicking an existing hazard drags its range instead
+        const existing = this.hazardAt(tx, ty);
+        if (existing) {
+          this.drag = { mode: 'range', hazard: existing };
+          return;
+        }
+      }
+      this.drag = { mode: 'paint', ch };
+      this.paint(tx, ty, ch);
+    },
+    onMouseMove(e) {
+      if (Game.state !== 'editor') return;
+      const { tx, ty } = this.tileAt(e);
+      this.hover = { tx, ty };
+      if (!this.drag || !this.inBounds(tx, ty)) return;
+      if (this.drag.mode === 'range') {
+        const hazard = this.drag.hazard;
+        const range = Math.abs(tx - hazard.x);
+        if (range !== hazard.range) {
+          hazard.range = range;
+          this.refresh();
+        }
+      } else if (this.drag.ch !== 'H') {
+        // hazards are placed one per click
+        this.paint(tx, ty, this.drag.ch);
+      }
+    },
+    /**
+     * Put a tile character at (tx, ty).  There is only one spawn,
+     * so placing it clears the previous one; 'H' adds a hazard
+     * entity and erasing also removes hazards on the tile.
+     */
+    paint(tx, ty, ch) {
+      if (ch === 'H') {
+        if (!this.hazardAt(tx, ty)) {
+          this.grid[ty][tx] = ' ';
+          this.entities.push({ type: 'hazard', x: tx, y: ty, range: 3, speed: 2.5, dir: 1 });
+        }
+      } else {
+        if (this.grid[ty][tx] === ch && ch !== ' ') return;
+        if (ch === 'P') {
+          this.grid.forEach((row) => {
+            row.forEach((cell, x) => {
+              if (cell === 'P') row[x] = ' ';
+            });
+          });
+        }
+        if (ch === ' ') {
+          this.entities = this.entities.filter((ent) => !(ent.x === tx && ent.y === ty));
+        }
+        this.grid[ty][tx] = ch;
+      }
+      this.refresh();
+    },
+    /**
+     * Validate the level, showing every problem in the panel.
+     * Returns the definition when it is valid, otherwise null.
+     */
+    validated() {
+      const level = this.toDefinition();
+      const errors = PlatformerLevelFormat.validateLevel(level);
+      if (errors.length > 0) {
+        this.showMessage('The level is not ready yet:', errors);
+        return null;
+      }
+      return level;
+    },
+    /**
+     * Play the edited level straight away.  Game returns here when
+     * the player dies, finishes or presses Escape.
+     */
+    testPlay() {
+      const level = this.validated();
+      if (!level) return;
+      this.close();
+      Game.startTestPlay(level);
+    },
+    /**
+     * Save the edited level to the custom levels, replacing the
+     * level it was opened from.  A level changed in anything but
+     * its name and author loses its best time and replay since they
+     * no longer match it.
+     */
+    save() {
+      const level = this.validated();
+      if (!level) return;
+      if (this.customId) {
+        const key = `custom:${this.customId}`;
+        const index = Game.customLevels.findIndex((custom) => custom.id === this.customId);
+        const previous = Game.customLevels[index];
+        if (previous && this.playableKey(previous) !== this.playableKey(level)) {
+          delete Game.bestTimes[key];
+          delete Game.replays[key];
+        }
+        level.id = this.customId;
+        if (index >= 0) {
+          Game.customLevels[index] = level;
+        } else {
+          Game.customLevels.push(level);
+        }
+      } else {
+        level.id = Game.newCustomId();
+        this.customId = level.id;
+        Game.customLevels.push(level);
+      }
+      Game.saveProgress();
+      this.showMessage(`Saved "${level.meta.name}" to the custom levels.`);
+    },
+    /**
+     * Everything in a level definition that affects play (all of it
+     * but the name and author) as a string to compare definitions
+     * by.  Object keys are sorted so the order fields were written
+     * in does not matter.
+     */
+    playableKey(level) {
+      const def = PlatformerLevelFormat.createLevel(
+        Object.assign({}, level.meta, {
+          name: '',
+          author: '',
+          tiles: level.tiles,
+          entities: level.entities,
+          cameraZones: level.cameraZones,
+        }),
+      );
+      return JSON.stringify(def, (key, value) =>
+        value && typeof value === 'object' && !Array.isArray(value)
+          ? Object.fromEntries(
+              Object.keys(value)
+                .sort()
+                .map((name) => [name, value[name]]),
+            )
+          : value,
+      );
+    },
+    /**
+     * Scroll with the held direction keys.
+     */
+    update() {
+      let dx = 0;
+      let dy = 0;
+      if (Input.left) dx -= 1;
+      if (Input.right) dx += 1;
+      if (Input.up) dy -= 1;
+      if (Input.down) dy += 1;
+      Input.jumpRequested = false;
+      if (dx !== 0 || dy !== 0) {
+        this.camera.x += dx * this.scrollSpeed;
+        this.camera.y += dy * this.scrollSpeed;
+        this.clampCamera();
+      }
+    },
+    /**
+     * Keep at least part of the level on screen; a few tiles of
+     * margin let edge cells be reached under the panel.
+     */
+    clampCamera() {
+      const margin = 120;
+      const width = this.grid[0].length * 40;
+      const height = this.grid.length * 40;
+      this.camera.x = Math.max(-margin, Math.min(this.camera.x, Math.max(0, width - Viewport.width) + margin));
+      this.camera.y = Math.max(-margin - 80, Math.min(this.camera.y, Math.max(0, height - Viewport.height) + margin));
+    },
+    /**
+     * Draw the level preview with the editor overlays: level
+     * bounds and solid edges, grid lines, camera zones, the spawn
+     * marker, hazard ranges with their handles and the hovered cell.
+     */
+    draw(ctx) {
+      const ts = this.preview.tileSize;
+      const cam = this.camera;
+      const width = this.grid[0].length * ts;
+      const height = this.grid.length * ts;
+      Renderer.drawLevel(ctx, this.preview, cam, 1, this.meta.theme);
+      ctx.save();
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.08)';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      const startCol = Math.max(0, Math.floor(cam.x / ts));
+      const endCol = Math.min(this.grid[0].length, Math.ceil((cam.x + Viewport.width) / ts));
+      for (let x = startCol; x <= endCol; x++) {
+        ctx.moveTo(x * ts - cam.x + 0.5, -cam.y);
+        ctx.lineTo(x * ts - cam.x + 0.5, height - cam.y);
+      }
+      const startRow = Math.max(0, Math.floor(cam.y / ts));
+      const endRow = Math.min(this.grid.length, Math.ceil((cam.y + Viewport.height) / ts));
+      for (let y = startRow; y <= endRow; y++) {
+        ctx.moveTo(-cam.x, y * ts - cam.y + 0.5);
+        ctx.lineTo(width - cam.x, y * ts - cam.y + 0.5);
+      }
+      ctx.stroke();
+      ctx.strokeStyle = '#888';
+      ctx.strokeRect(-cam.x + 0.5, -cam.y + 0.5, width, height);
+      // solid edges are drawn as thick walls just outside the grid
+      const edges = this.preview.edges;
+      ctx.fillStyle = Renderer.palette(this.meta.theme).wall;
+      if (edges.left === 'solid') ctx.fillRect(-cam.x - 6, -cam.y, 6, height);
+      if (edges.right === 'solid') ctx.fillRect(width - cam.x, -cam.y, 6, height);
+      if (edges.top === 'solid') ctx.fillRect(-cam.x, -cam.y - 6, width, 6);
+      if (edges.bottom === 'solid') ctx.fillRect(-cam.x, height - cam.y, width, 6);
+      // camera zones: dashed, orange when they lock the view
+      ctx.setLineDash([6, 4]);
+      for (const zone of this.cameraZones) {
+        ctx.strokeStyle = zone.mode === 'lock' ? '#fa0' : '#0cf';
+        ctx.strokeRect(zone.x * ts - cam.x + 2.5, zone.y * ts - cam.y + 2.5, zone.width * ts - 5, zone.height * ts - 5);
+      }
+      ctx.setLineDash([]);
+      // spawn marker
+      ctx.strokeStyle = '#fff';
+      ctx.strokeRect(this.preview.spawnX - cam.x + 8, this.preview.spawnY - cam.y + 0.5, 24, ts - 1);
+      // hazard ranges and handles
+      for (const ent of this.entities) {
+        if (ent.type !== 'hazard') continue;
+        const cy = ent.y * ts + ts / 2 - cam.y;
+        ctx.strokeStyle = '#e22';
+        ctx.beginPath();
+        ctx.moveTo((ent.x - ent.range) * ts + ts / 2 - cam.x, cy);
+        ctx.lineTo((ent.x + ent.range) * ts + ts / 2 - cam.x, cy);
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        for (const side of [-1, 1]) {
+          const hx = (ent.x + side * ent.range) * ts + ts / 2 - cam.x;
+          ctx.fillRect(hx - 5, cy - 5, 10, 10);
+        }
+      }
+      if (this.hover && this.inBounds(this.hover.tx, this.hover.ty)) {
+        ctx.strokeStyle = '#fd0';
+        ctx.strokeRect(this.hover.tx * ts - cam.x + 0.5, this.hover.ty * ts - cam.y + 0.5, ts - 1, ts - 1);
+      }
+      ctx.restore();
+    },
+  };
+
+  /**
+   * The play camera.  It tracks a focus point that only moves once
+   * the player leaves a deadzone around it, leads ahead of the
+   * player in the direction they are running and eases towards its
+   * target instead of snapping.  Vertically it frames the ground:
+   * the focus settles on the player's feet when they land and
+   * stays put during ordinary jumps, so the view does not bob, but
+   * follows a fall at once and a climb once it leaves the deadzone.
+   * While the player is inside one of the level's camera zones the
+   * zone replaces the level as the bounds of the view ('bounds') or
+   * holds the view centred on it ('lock').  Screen shake is kept
+   * apart from the follow position and only added in view.  Like
+   * the particles, everything here is cosmetic and runs on real
+   * frame time.
+   */
+  const Camera = {
+    // follow position (top left of the view) and the drawn view
+    x: 0,
+    y: 0,
+    view: { x: 0, y: 0 },
+    // half the size of the deadzone around the focus, in pixels
+    deadzone: { x: 40, y: 60 },
+    // how far the view leads the player at full speed, in pixels
+    lookAhead: 120,
+    // where the feet of a grounded player sit, as a fraction of the
+    // view height from the top
+    groundLine: 0.65,
+    // rates (per second) at which the view and the lead close in on
+    // their targets
+    followRate: 6,
+    leadRate: 2,
+    focusX: 0,
+    focusY: 0,
+    lead: 0,
+    // shake strength from 0 to 1; the offset grows with its square
+    trauma: 0,
+    maxShake: 12,
+    shakeDecay: 1.5,
+    shakeEnabled: true,
+    // trauma added by each kind of impact
+    shakes: { dive: 0.45, bounce: 0.3, defeat: 0.25, death: 0.6 },
+    /**
+     * Jump straight to the player, with no lead or shake.  Used
+     * when a level starts and after a respawn.
+     */
+    snap(level, player, zones) {
+      this.focusX = player.x + player.width / 2;
+      this.focusY = player.y + player.height;
+      this.lead = 0;
+      this.trauma = 0;
+      const target = this.target(level, player, zones);
+      this.x = target.x;
+      this.y = target.y;
+      this.view.x = this.x;
+      this.view.y = this.y;
+    },
+    /**
+     * Move the camera towards the player for a frame of dt seconds.
+     * alpha selects the interpolated player position that will be
+     * drawn.
+     */
+    follow(level, player, zones, alpha, dt) {
+      const pos = player.renderPos(alpha);
+      const centreX = pos.x + player.width / 2;
+      const feet = pos.y + player.height;
+      if (centreX > this.focusX + this.deadzone.x) this.focusX = centreX - this.deadzone.x;
+      if (centreX < this.focusX - this.deadzone.x) this.focusX = centreX + this.deadzone.x;
+      if (player.onGround || feet > this.focusY) {
+        this.focusY = feet;
+      } else if (feet < this.focusY - this.deadzone.y * 2) {
+        this.focusY = feet + this.deadzone.y * 2;
+      }
+      const speed = Math.min(1, Math.abs(player.velX) / player.maxSpeed);
+      this.lead = this.approach(this.lead, Math.sign(player.velX) * speed * this.lookAhead, this.leadRate, dt);
+      const target = this.target(level, player, zones);
+      this.x = this.approach(this.x, target.x, this.followRate, dt);
+      this.y = this.approach(this.y, target.y, this.followRate, dt);
+      this.updateShake(dt);
+    },
+    /**
+     * Ease value towards target at rate per second, independent of
+     * the frame rate.
+     */
+    approach(value, target, rate, dt) {
+      return value + (target - value) * (1 - Math.exp(-rate * dt));
+    },
+    /**
+     * The view position the camera is heading for: the focus point
+     * plus the lead, kept within the level or the zone the player
+     * is in.
+     */
+    target(level, player, zones) {
+      let x = this.focusX + this.lead - Viewport.width / 2;
+      let y = this.focusY - Viewport.height * this.groundLine;
+      const ts = level.tileSize;
+      const zone = this.zoneAt(zones, (player.x + player.width / 2) / ts, (player.y + player.height / 2) / ts);
+      if (zone) {
+        x = this.fitAxis(x, zone.x * ts, zone.width * ts, Viewport.width, zone.mode === 'lock');
+        y = this.fitAxis(y, zone.y * ts, zone.height * ts, Viewport.height, zone.mode === 'lock');
+      } else {
+        x = Math.max(0, Math.min(x, level.cols * ts - Viewport.width));
+        y = Math.max(0, Math.min(y, level.rows * ts - Viewport.height));
+      }
+      return { x, y };
+    },
+    /**
+     * Fit one axis of the view (position, size) to a zone span.  A
+     * locked zone, or one smaller than the view, is centred.
+     */
+    fitAxis(position, start, length, size, lock) {
+      if (lock || length <= size) return start + (length - size) / 2;
+      return Math.max(start, Math.min(position, start + length - size));
+    },
+    /**
+     * The last listed zone containing the tile position (tx, ty),
+     * or null.
+     */
+    zoneAt(zones, tx, ty) {
+      for (let i = zones.length - 1; i >= 0; i--) {
+        const zone = zones[i];
+        if (tx >= zone.x && tx < zone.x + zone.width && ty >= zone.y && ty < zone.y + zone.height) return zone;
+      }
+      return null;
+    },
+    /**
+     * Shake the view for a simulation event: landing from a dive or
+     * diving through a block, a bounce pad, a defeated enemy or a
+     * death.
+     */
+    shakeFor(ev) {
+      if ((ev.type === 'land' && ev.dive) || ev.type === 'break') {
+        this.shake(this.shakes.dive);
+      } else if (ev.type === 'bounce' || ev.type === 'defeat' || ev.type === 'death') {
+        this.shake(this.shakes[ev.type]);
+      }
+    },
+    shake(amount) {
+      if (this.shakeEnabled) this.trauma = Math.min(1, this.trauma + amount);
+    },
+    /**
+     * Let the shake die down and set view to the follow position
+     * plus this frame's shake offset.
+     */
+    updateShake(dt) {
+      this.trauma = Math.max(0, this.trauma - this.shakeDecay * dt);
+      const strength = this.maxShake * this.trauma * this.trauma;
+      this.view.x = this.x + (Math.random() * 2 - 1) * strength;
+      this.view.y = this.y + (Math.random() * 2 - 1) * strength;
+    },
+  };
+
+  /**
+   * Full-game speedrun: every built-in level in order against one
+   * timer.  The timer counts simulated time across all attempts
+   * (each step of play plus a fixed death animation per death), so
+   * pauses, menus and level loading are left out.  Each finished
+   * level is a split; splits are compared with the personal-best
+   * run and with the gold segments (the fastest time ever taken on
+   * each level during a run).
+   */
+  const Speedrun = {
+    // saved records: { pb: { time, splits } or null, golds: [] }
+    records: { pb: null, golds: [] },
+    // the run in progress, or null
+    run: null,
+    // summary of the last finished run for the results screen
+    result: null,
+    // number of split rows drawn around the current level
+    visibleSplits: 6,
+    load(saved) {
+      this.records = saved;
+    },
+    /**
+     * Begin a run at the first level.  The golds are copied so the
+     * colours of this run's splits compare with the golds it
+     * started with.
+     */
+    start() {
+      this.run = { level: 0, time: 0, deaths: 0, splits: [], golds: this.records.golds.slice() };
+    },
+    abandon() {
+      this.run = null;
+    },
+    /**
+     * Add time to the run: a simulation step or a death animation.
+     */
+    tick(seconds) {
+      if (this.run) this.run.time += seconds;
+    },
+    addDeath(seconds) {
+      if (!this.run) return;
+      this.run.deaths++;
+      this.run.time += seconds;
+    },
+    /**
+     * Record the split for the level just finished and update its
+     * gold.  Returns true when that was the last level; the run is
+     * then over, the personal best replaced if beaten and the
+     * summary kept in result.
+     */
+    split(levelCount) {
+      const run = this.run;
+      const previous = run.splits.length > 0 ? run.splits[run.splits.length - 1] : 0;
+      const segment = run.time - previous;
+      run.splits.push(run.time);
+      const gold = this.records.golds[run.level];
+      if (gold === undefined || gold === null || segment < gold) this.records.golds[run.level] = segment;
+      run.level++;
+      if (run.level < levelCount) return false;
+      const pb = this.records.pb;
+      const isPB = !pb || run.time < pb.time;
+      this.result = { time: run.time, deaths: run.deaths, previousPB: pb ? pb.time : null, isPB };
+      if (isPB) this.records.pb = { time: run.time, splits: run.splits.slice() };
+      this.run = null;
+      return true;
+    },
+    /**
+     * Sum of the gold segments, the best time a run could get, or
+     * null while some level has no gold yet.
+     */
+    sumOfBest(levelCount) {
+      let sum = 0;
+      for (let i = 0; i < levelCount; i++) {
+        const gold = this.records.golds[i];
+        if (gold === undefined || gold === null) return null;
+        sum += gold;
+      }
+      return sum;
+    },
+    /**
+     * Format seconds as m:ss.cc (or s.cc under a minute).
+     */
+    formatTime(seconds) {
+      const minutes = Math.floor(seconds / 60);
+      const rest = (seconds - minutes * 60).toFixed(2);
+      return minutes > 0 ? `${minutes}:${rest.padStart(5, '0')}` : rest;
+    },
+    formatDelta(seconds) {
+      return `${seconds < 0 ? '−' : '+'}${this.formatTime(Math.abs(seconds))}`;
+    },
+    /**
+     * Draw the split table and run timer in the top right corner.
+     * Finished levels show their time and the difference to the
+     * personal best, gold when the segment beat its gold, green
+     * when ahead and red when behind.  The current level shows the
+     * live difference once the run falls behind the personal best.
+     */
+    draw(ctx, levelCount) {
+      const run = this.run;
+      const pb = this.records.pb;
+      const rowHeight = 18;
+      const width = 230;
+      const x = Viewport.width - width - 10;
+      const centred = run.level - Math.floor(this.visibleSplits / 2);
+      const first = Math.max(0, Math.min(centred, levelCount - this.visibleSplits));
+      const last = Math.min(levelCount, first + this.visibleSplits);
+      ctx.save();
+      ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+      ctx.fillRect(x, 10, width, (last - first) * rowHeight + 58);
+      ctx.font = '13px sans-serif';
+      for (let i = first; i < last; i++) {
+        const y = 10 + (i - first + 1) * rowHeight;
+        if (i === run.level) {
+          ctx.fillStyle = 'rgba(255, 255, 255, 0.15)';
+          ctx.fillRect(x, y - 13, width, rowHeight);
+        }
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#fff';
+        ctx.fillText(`Level ${i + 1}`, x + 8, y);
+        let delta = null;
+        let deltaColor = '#fff';
+        let time = pb ? pb.splits[i] : null;
+        let timeColor = '#888';
+        if (i < run.splits.length) {
+          time = run.splits[i];
+          timeColor = '#fff';
+          const segment = time - (i > 0 ? run.splits[i - 1] : 0);
+          const gold = run.golds[i];
+          if (pb) delta = time - pb.splits[i];
+          if (gold === undefined || gold === null || segment < gold) {
+            deltaColor = '#fd0';
+          } else {
+            deltaColor = delta !== null && delta < 0 ? '#4c4' : '#e44';
+          }
+        } else if (i === run.level && pb && run.time > pb.splits[i]) {
+          delta = run.time - pb.splits[i];
+          deltaColor = '#e44';
         }
+        ctx.textAlign = 'right';
+        if (delta !== null) {
+          ctx.fillStyle = deltaColor;
+          ctx.fillText(this.formatDelta(delta), x + 150, y);
+        }
+        ctx.fillStyle = timeColor;
+        ctx.fillText(time === null || time === undefined ? '-' : this.formatTime(time), x + width - 8, y);
       }
-      // draw moving hazards
-      for (const hz of this.hazards) {
-        const hx = hz.x - camera.x;
-        const hy = hz.y - camera.y;
-        ctx.fillStyle = '#e22';
-        ctx.fillRect(hx + 8, hy + 8, hz.width - 16, hz.height - 16);
-      }
-    }
-  }
+      const bottom = 10 + (last - first) * rowHeight;
+      ctx.textAlign = 'right';
+      ctx.fillStyle = '#fff';
+      ctx.font = '24px sans-serif';
+      ctx.fillText(this.formatTime(run.time), x + width - 8, bottom + 30);
+      ctx.font = '12px sans-serif';
+      ctx.fillStyle = '#aaa';
+      const best = this.sumOfBest(levelCount);
+      ctx.fillText(`Sum of best: ${best === null ? '-' : this.formatTime(best)}`, x + width - 8, bottom + 48);
+      ctx.restore();
+    },
+  };
 
   /**
    * The Game object orchestrates the entire application.  It holds
@@ -570,35 +2043,72 @@
    * requestAnimationFrame and responds to UI button presses.
    */
   const Game = {
-    state: 'menu', // menu, playing, paused, complete, levelSelect, skins
+    state: 'menu', // menu, playing, paused, complete, levelSelect, skins, replay, results
     levels: [],
-    currentLevelIndex: 0,
-    level: null,
-    player: null,
-    camera: { x: 0, y: 0 },
+    // key of the level being played: the index of a built-in level
+    // or 'custom:<id>' for an imported one
+    currentLevelKey: 0,
+    // imported level definitions, each with an added id
+    customLevels: [],
+    // the running Simulation; owns the current Level and Player
+    sim: null,
+    // Simulation replaying the best run alongside the live one
+    ghost: null,
+    // PlayerAnimators for the live (or replayed) player and ghost
+    playerAnim: null,
+    ghostAnim: null,
     coins: 0,
     // tracking coins collected this session for unlocking skins
     sessionCoins: 0,
     totalLevels: 50,
+    // base seed for the generated levels; level i uses levelSeed + i
+    levelSeed: 1000,
     skins: [],
     selectedSkinIndex: 0,
+    // the last save loaded or written (see save.js)
+    savedData: null,
     bestTimes: {},
-    levelStartTime: 0,
+    // best run per level as returned by Simulation.getReplay()
+    replays: {},
+    // per level: { collected: coin ids paid out, total: coins in it }
+    levelCoins: {},
+    // ids of the coins in the current run that were paid out before
+    bankedCoins: [],
+    // the run that just finished, for the level complete screen
+    lastReplay: null,
+    // screen to return to when a replay ends: complete or levelSelect
+    replayReturn: null,
+    // true while test playing the level open in the editor
+    testPlay: false,
+    // short message drawn over the game, e.g. a controller being
+    // plugged in: { text, until }
+    notice: null,
     currentTime: 0,
     lastFrame: 0,
+    // physics runs at a fixed rate; frames consume whole steps from
+    // the accumulator and render the remainder by interpolation
+    stepRate: STEP_RATE,
+    accumulator: 0,
+    maxFrameTime: 250,
     /**
-     * Initialize game systems (input, UI events, levels, skins,
-     * load/save) and start the main loop.  The start screen is
-     * visible on initial load.
+     * Initialize game systems (keyboard, gamepad and touch input,
+     * particles, UI events, levels, skins, load/save, editor) and
+     * start the main loop.  The start screen is visible on initial
+     * load.
      */
     init() {
+      Viewport.init();
       Input.init();
+      Gamepads.init();
+      Particles.init();
       this.loadProgress();
       this.buildLevels();
       this.buildSkins();
       this.buildLevelSelectUI();
       this.buildSkinsUI();
       this.attachUIEvents();
+      Editor.init();
+      Touch.init();
       this.loop(performance.now());
     },
     /**
@@ -612,9 +2122,77 @@
       document.getElementById('levelSelectButton').onclick = () => {
         this.showLevelSelect();
       };
+      document.getElementById('speedrunButton').onclick = () => {
+        this.startSpeedrun();
+      };
+      document.getElementById('speedrunAgainButton').onclick = () => {
+        speedrunResultsScreen.classList.remove('active');
+        this.startSpeedrun();
+      };
+      document.getElementById('speedrunExitButton').onclick = () => {
+        this.showMenu();
+      };
       document.getElementById('skinsButton').onclick = () => {
         this.showSkins();
       };
+      document.getElementById('editorButton').onclick = () => {
+        Editor.open();
+      };
+      document.getElementById('controlsButton').onclick = () => {
+        this.showControls();
+      };
+      document.getElementById('settingsButton').onclick = () => {
+        this.showSettings();
+      };
+      document.getElementById('closeSettingsButton').onclick = () => {
+        this.showMenu();
+      };
+      document.getElementById('exportSaveButton').onclick = () => {
+        this.exportSave();
+      };
+      document.getElementById('importSaveButton').onclick = () => {
+        saveFileInput.value = '';
+        saveFileInput.click();
+      };
+      saveFileInput.onchange = () => {
+        if (saveFileInput.files.length > 0) this.importSaveFile(saveFileInput.files[0]);
+      };
+      // another tab saved; keep this one's progress in step
+      window.addEventListener('storage', (e) => {
+        if (e.key === PlatformerSave.SAVE_KEY && e.newValue !== null) this.syncSave(e.newValue);
+      });
+      effectsSelect.onchange = () => {
+        Particles.setDensity(effectsSelect.value);
+        this.saveProgress();
+      };
+      screenShakeInput.onchange = () => {
+        Camera.shakeEnabled = screenShakeInput.checked;
+        this.saveProgress();
+      };
+      for (const channel of Object.keys(volumeInputs)) {
+        volumeInputs[channel].oninput = () => {
+          Sound.setVolume(channel, parseFloat(volumeInputs[channel].value));
+          this.saveProgress();
+        };
+      }
+      // browsers only allow audio after a user gesture
+      const unlockAudio = () => {
+        if (Sound.unlock()) {
+          window.removeEventListener('keydown', unlockAudio);
+          window.removeEventListener('pointerdown', unlockAudio);
+        }
+      };
+      window.addEventListener('keydown', unlockAudio);
+      window.addEventListener('pointerdown', unlockAudio);
+      document.getElementById('resetControlsButton').onclick = () => {
+        Input.resetBindings();
+        this.saveProgress();
+        this.buildControlsUI('Controls reset to the defaults.');
+      };
+      document.getElementById('closeControlsButton').onclick = () => {
+        Input.capture = null;
+        this.showMenu();
+      };
       document.getElementById('resumeButton').onclick = () => {
         this.togglePause(false);
       };
@@ -630,140 +2208,260 @@
       document.getElementById('retryLevelButton').onclick = () => {
         this.resetLevel();
       };
+      document.getElementById('watchReplayButton').onclick = () => {
+        if (this.lastReplay) this.startReplay(this.currentLevelKey, this.lastReplay, 'complete');
+      };
       document.getElementById('exitToMenuButton').onclick = () => {
         this.exitToMenu();
       };
       document.getElementById('closeLevelSelectButton').onclick = () => {
         this.showMenu();
       };
+      document.getElementById('importLevelButton').onclick = () => {
+        levelFileInput.value = '';
+        levelFileInput.click();
+      };
+      levelFileInput.onchange = () => {
+        if (levelFileInput.files.length > 0) this.importLevelFile(levelFileInput.files[0]);
+      };
       document.getElementById('closeSkinsButton').onclick = () => {
         this.showMenu();
       };
     },
     /**
-     * Build the list of levels.  Levels are procedurally generated
-     * using a deterministic algorithm that varies content based on
-     * the index.  Each generated map is an array of strings.
+     * Build the list of levels.  Generating a level includes a
+     * solvability search, so levels are created on first use by
+     * getLevelDefinition() rather than all up front; this just
+     * resets the cache.
      */
     buildLevels() {
-      for (let i = 0; i < this.totalLevels; i++) {
-        const map = this.generateLevel(i);
-        this.levels.push(map);
+      this.levels = new Array(this.totalLevels).fill(null);
+    },
+    /**
+     * Return the level definition for a level key, generating
+     * built-in levels on first request.  Unknown custom keys
+     * return null.
+     */
+    getLevelDefinition(key) {
+      if (this.isCustomKey(key)) {
+        const id = key.slice('custom:'.length);
+        return this.customLevels.find((level) => level.id === id) || null;
       }
+      if (!this.levels[key]) {
+        this.levels[key] = this.generateLevel(key);
+      }
+      return this.levels[key];
+    },
+    /**
+     * True for keys that name an imported level.
+     */
+    isCustomKey(key) {
+      return typeof key === 'string' && key.startsWith('custom:');
     },
     /**
-     * Procedurally generate a single level.  The generated map
-     * contains basic ground, a spawn, a flag, hazards, breakable
-     * blocks, coins, bounce pads and moving hazards.  Variation is
-     * achieved by using the index to compute pseudo‑random
-     * positions.  All maps have a uniform size for simplicity.
+     * Generate the definition for a single level.  Every index
+     * uses a fixed seed so all players get the same 50 levels,
+     * which keeps best times and replays comparable.  Difficulty
+     * ramps from 0 on the first level to 1 on the last, and the
+     * colour theme changes every third of the way.  The par time
+     * is the generator's own solution rounded up to whole seconds,
+     * or none if it did not return one.
      */
     generateLevel(index) {
-      const height = 12;
-      const width = 40;
-      // Create blank map
-      const map = [];
-      for (let r = 0; r < height; r++) {
-        const row = new Array(width).fill(' ');
-        map.push(row);
-      }
-      // Build ground on last row
-      for (let c = 0; c < width; c++) {
-        map[height - 1][c] = '#';
-      }
-      // Spawn
-      map[height - 2][1] = 'P';
-      // Flag
-      map[height - 2][width - 2] = 'F';
-      // Hazards count increases slowly
-      const hazardCount = 2 + Math.floor(index / 10);
-      for (let h = 0; h < hazardCount; h++) {
-        let col = (index * 7 + h * 11) % (width - 4) + 2;
-        // avoid spawning hazards on flag
-        if (col === width - 2) col = (col + 5) % (width - 4) + 2;
-        map[height - 2][col] = 'S';
-      }
-      // Bounce pad every third level
-      if (index % 3 === 0) {
-        const col = Math.floor(width / 2);
-        map[height - 2][col] = 'B';
-      }
-      // Breakable tiles on row above ground
-      const breakCount = index % 3;
-      for (let b = 0; b < breakCount; b++) {
-        let col = (index * 5 + b * 13) % (width - 6) + 3;
-        map[height - 3][col] = 'X';
-      }
-      // Coins on two rows above ground
-      const coinCount = 3;
-      for (let c = 0; c < coinCount; c++) {
-        let col = (index * 3 + c * 13) % (width - 6) + 3;
-        map[height - 4][col] = 'C';
-      }
-      // Floating platforms
-      const platformCount = 2 + (index % 3);
-      for (let p = 0; p < platformCount; p++) {
-        let col = (index * 6 + p * 12) % (width - 10) + 5;
-        for (let k = 0; k < 4; k++) {
-          map[height - 5][col + k] = '#';
+      const difficulty = index / (this.totalLevels - 1);
+      const result = PlatformerGenerator.generateLevel({ seed: this.levelSeed + index, difficulty });
+      const themes = PlatformerLevelFormat.THEMES;
+      return PlatformerLevelFormat.createLevel({
+        name: `Level ${index + 1}`,
+        author: 'Generator',
+        parTime: result.solution ? Math.ceil(result.solution.steps / STEP_RATE) : null,
+        theme: themes[Math.min(themes.length - 1, Math.floor(difficulty * themes.length))],
+        tiles: result.map,
+      });
+    },
+    /**
+     * Read a level file chosen in the level select screen.  Valid
+     * levels are added to the custom levels and saved; otherwise
+     * every validation problem is listed on screen.
+     */
+    importLevelFile(file) {
+      file.text().then((text) => {
+        const { level, errors } = PlatformerLevelFormat.parseLevel(text);
+        if (!level) {
+          this.showLevelSelectMessage(`Could not import ${file.name}:`, errors);
+          return;
         }
-      }
-      // Moving hazards (H) occasionally
-      const movingCount = index % 2;
-      for (let mh = 0; mh < movingCount; mh++) {
-        let col = (index * 4 + mh * 17) % (width - 10) + 5;
-        map[height - 4][col] = 'H';
-      }
-      // Convert each row to string
-      return map.map((row) => row.join(''));
+        level.id = this.newCustomId();
+        this.customLevels.push(level);
+        this.saveProgress();
+        this.buildLevelSelectUI();
+        this.showLevelSelectMessage(`Imported "${level.meta.name}".`);
+      });
+    },
+    /**
+     * A fresh id for a custom level.  Ids only need to be unique
+     * within this save.
+     */
+    newCustomId() {
+      return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    },
+    /**
+     * Download a level as a level file named after the level.
+     */
+    exportLevel(key) {
+      const level = this.getLevelDefinition(key);
+      const blob = new Blob([PlatformerLevelFormat.serializeLevel(level)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${level.meta.name.replace(/[^a-z0-9-_]+/gi, '_')}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    },
+    /**
+     * Remove an imported level along with its best time and replay.
+     */
+    deleteCustomLevel(key) {
+      const id = key.slice('custom:'.length);
+      this.customLevels = this.customLevels.filter((level) => level.id !== id);
+      delete this.bestTimes[key];
+      delete this.replays[key];
+      delete this.levelCoins[key];
+      this.saveProgress();
+      this.buildLevelSelectUI();
+    },
+    /**
+     * Show a message (and optional list of details) above the level
+     * list.  Passing no text clears it.
+     */
+    showLevelSelectMessage(text = '', details = []) {
+      levelSelectMessageDiv.textContent = text;
+      details.forEach((detail) => {
+        const line = document.createElement('div');
+        line.textContent = `• ${detail}`;
+        levelSelectMessageDiv.appendChild(line);
+      });
     },
     /**
      * Construct a simple list of available skins.  Each skin has a
      * colour and a price.  The first skin is free.  Additional
      * skins are progressively more expensive.  Unlocked skins are
-     * stored in localStorage.
+     * stored in localStorage.  Each coin only pays out once and the
+     * built-in levels hold 140 between them, so prices are set to
+     * make the whole shop cost 110: most, but not all, of the
+     * coins have to be found.
      */
     buildSkins() {
-      // Predefined colours
-      const colours = ['#ffffff', '#00ffff', '#ff00ff', '#00ff00', '#ffa500', '#ff4444'];
-      this.skins = colours.map((c, idx) => {
-        return {
-          color: c,
-          price: idx * 20, // progressive pricing
-          unlocked: false,
-        };
+      const prices = [
+        ['#ffffff', 0],
+        ['#00ffff', 5],
+        ['#ff00ff', 10],
+        ['#00ff00', 20],
+        ['#ffa500', 30],
+        ['#ff4444', 45],
+      ];
+      this.skins = prices.map(([color, price]) => ({ color, price, unlocked: false }));
+      this.applySavedSkins();
+    },
+    /**
+     * Unlock the skins named in the loaded save and select its
+     * chosen one.  The first skin is always unlocked.  Skins are
+     * matched by colour, so saved skins the shop no longer sells
+     * are ignored.
+     */
+    applySavedSkins() {
+      const { unlockedSkins, selectedSkin } = this.savedData.progress;
+      this.skins.forEach((skin, idx) => {
+        skin.unlocked = idx === 0 || unlockedSkins.includes(skin.color);
       });
-      // ensure first skin is unlocked
-      this.skins[0].unlocked = true;
-      // load unlocked skins from storage
-      if (this.savedData && this.savedData.skins) {
-        this.savedData.skins.forEach((unlocked, idx) => {
-          if (unlocked) this.skins[idx].unlocked = true;
-        });
-        this.selectedSkinIndex = this.savedData.selectedSkinIndex || 0;
-      }
+      const selected = this.skins.findIndex((skin) => skin.unlocked && skin.color === selectedSkin);
+      this.selectedSkinIndex = Math.max(0, selected);
     },
     /**
      * Build the level select UI.  Generates a button for each
-     * level.  Buttons show a star if the level has been completed
-     * (best time recorded).  Clicking a button starts that level.
+     * level, built-in levels first and imported levels in a Custom
+     * section below.  Buttons show a star if the level has been
+     * completed (best time recorded) and how many of its coins
+     * have been found, once that is known.  Clicking a button starts
+     * that level.  Each level also gets a button to export it as a
+     * level file, levels with a saved best run one that plays the
+     * replay, and custom levels ones that open them in the editor
+     * and delete them.
      */
     buildLevelSelectUI() {
       levelListDiv.innerHTML = '';
       for (let i = 0; i < this.totalLevels; i++) {
-        const btn = document.createElement('button');
-        const levelNum = i + 1;
-        btn.textContent = `Level ${levelNum}`;
-        btn.style.margin = '4px';
-        // show a mark if completed
-        if (this.bestTimes[i] !== undefined) {
-          btn.textContent += ` ★`;
-        }
-        btn.onclick = () => {
-          this.startGame(i);
+        this.addLevelSelectEntry(i, `Level ${i + 1}`);
+      }
+      if (this.customLevels.length > 0) {
+        const heading = document.createElement('h3');
+        heading.textContent = 'Custom';
+        levelListDiv.appendChild(heading);
+        this.customLevels.forEach((level) => {
+          const author = level.meta.author ? ` by ${level.meta.author}` : '';
+          this.addLevelSelectEntry(`custom:${level.id}`, `${level.meta.name}${author}`);
+        });
+      }
+    },
+    /**
+     * Append the buttons for one level to the level select list.
+     */
+    addLevelSelectEntry(key, title) {
+      const btn = document.createElement('button');
+      btn.textContent = title;
+      btn.style.margin = '4px';
+      // show a mark if completed
+      if (this.bestTimes[key] !== undefined) {
+        btn.textContent += ` ★`;
+      }
+      const coins = this.coinProgress(key);
+      if (coins && coins.total > 0) {
+        btn.textContent += ` ● ${coins.found}/${coins.total}`;
+      }
+      btn.onclick = () => {
+        this.startLevel(key);
+      };
+      levelListDiv.appendChild(btn);
+      if (this.replays[key]) {
+        const watch = document.createElement('button');
+        watch.textContent = '▶';
+        watch.title = `Watch best run (${this.replays[key].time.toFixed(2)}s)`;
+        watch.style.margin = '4px 0';
+        watch.onclick = () => {
+          this.startReplay(key, this.replays[key], 'levelSelect');
+        };
+        levelListDiv.appendChild(watch);
+      }
+      const exportBtn = document.createElement('button');
+      exportBtn.textContent = '⤓';
+      exportBtn.title = 'Export level file';
+      exportBtn.style.margin = '4px 0';
+      exportBtn.onclick = () => {
+        this.exportLevel(key);
+      };
+      levelListDiv.appendChild(exportBtn);
+      if (this.isCustomKey(key)) {
+        const edit = document.createElement('button');
+        edit.textContent = '✎';
+        edit.title = 'Edit custom level';
+        edit.style.margin = '4px 0';
+        edit.onclick = () => {
+          Editor.open(this.getLevelDefinition(key));
         };
-        levelListDiv.appendChild(btn);
+        levelListDiv.appendChild(edit);
+        const remove = document.createElement('button');
+        remove.textContent = '✕';
+        remove.title = 'Delete custom level';
+        remove.style.margin = '4px 0';
+        remove.onclick = () => {
+          this.deleteCustomLevel(key);
+        };
+        levelListDiv.appendChild(remove);
       }
+      // keep each level's buttons together on their own line
+      levelListDiv.appendChild(document.createElement('br'));
     },
     /**
      * Build the skins selection UI.  Each skin is presented with
@@ -824,35 +2522,166 @@
       return this.skins[this.selectedSkinIndex].color;
     },
     /**
-     * Save coins, unlocked skins, selected skin and best times to
-     * localStorage.  This allows progress to persist across page
-     * reloads.
+     * Save coins, unlocked skins, selected skin, best times,
+     * best-run replays, imported levels, control bindings, touch
+     * control settings, volumes, the effects density and screen
+     * shake to localStorage in the save format of save.js.  This
+     * allows progress to persist across page reloads.  Skins
+     * unlocked in the loaded save but missing from the shop are
+     * kept.  A failed write (storage full or disabled) is reported
+     * but does not interrupt the game.
      */
     saveProgress() {
+      const unlocked = this.skins.filter((skin) => skin.unlocked).map((skin) => skin.color);
+      const kept = this.savedData.progress.unlockedSkins.filter((colour) => !unlocked.includes(colour));
       const data = {
-        coins: this.coins,
-        skins: this.skins.map((s) => s.unlocked),
-        selectedSkinIndex: this.selectedSkinIndex,
-        bestTimes: this.bestTimes,
+        format: PlatformerSave.SAVE_FORMAT,
+        version: PlatformerSave.SAVE_VERSION,
+        progress: {
+          coins: this.coins,
+          unlockedSkins: unlocked.concat(kept),
+          selectedSkin: this.getSelectedSkinColor(),
+          bestTimes: this.bestTimes,
+          replays: this.replays,
+          levelCoins: this.levelCoins,
+          speedrun: Speedrun.records,
+        },
+        customLevels: this.customLevels,
+        settings: {
+          bindings: Input.bindings,
+          touch: Touch.settings,
+          volumes: Sound.volumes,
+          effects: Particles.setting,
+          screenShake: Camera.shakeEnabled,
+        },
       };
-      localStorage.setItem('minimalPlatformerSave', JSON.stringify(data));
+      this.savedData = data;
+      try {
+        localStorage.setItem(PlatformerSave.SAVE_KEY, PlatformerSave.serializeSave(data));
+      } catch (err) {
+        this.notify('Progress could not be saved.');
+      }
     },
     /**
-     * Load progress from localStorage if present.  Coins, skins
-     * unlocked and best times are restored.  If nothing saved yet
-     * default values are used.
+     * Load progress from localStorage if present.  Older saves are
+     * migrated and damaged values reset (see save.js).  A save that
+     * cannot be read at all is copied to a backup key, so the next
+     * write does not destroy it, and the game starts fresh.  With
+     * nothing saved yet, or storage blocked, default values are
+     * used.
      */
     loadProgress() {
-      const saved = localStorage.getItem('minimalPlatformerSave');
-      if (saved) {
-        this.savedData = JSON.parse(saved);
-        this.coins = this.savedData.coins || 0;
-        this.bestTimes = this.savedData.bestTimes || {};
-      } else {
-        this.savedData = null;
-        this.coins = 0;
-        this.bestTimes = {};
+      let text = null;
+      try {
+        text = localStorage.getItem(PlatformerSave.SAVE_KEY);
+      } catch (err) {
+        this.notify('Saved progress could not be loaded.');
+      }
+      let save = PlatformerSave.defaultSave();
+      if (text !== null) {
+        const { save: loaded, repaired } = PlatformerSave.parseSave(text);
+        if (loaded) {
+          save = loaded;
+          if (repaired.length > 0) {
+            this.notify('Some damaged save data was reset.');
+          }
+        } else {
+          try {
+            localStorage.setItem(`${PlatformerSave.SAVE_KEY}.backup`, text);
+            this.notify('Your save could not be read, so a backup was kept and a new one started.');
+          } catch (err) {
+            this.notify('Your save could not be read, so a new one was started.');
+          }
+        }
       }
+      this.applySave(save);
+    },
+    /**
+     * Make a checked save the game's state: coins, skins, best
+     * times, replays, imported levels, control bindings, touch
+     * control settings, volumes, the effects density and screen
+     * shake.
+     */
+    applySave(save) {
+      this.savedData = save;
+      this.coins = save.progress.coins;
+      this.bestTimes = save.progress.bestTimes;
+      this.replays = save.progress.replays;
+      this.levelCoins = save.progress.levelCoins;
+      Speedrun.load(save.progress.speedrun);
+      this.customLevels = save.customLevels;
+      Input.loadBindings(save.settings.bindings);
+      Touch.loadSettings(save.settings.touch);
+      Sound.loadVolumes(save.settings.volumes);
+      Particles.setDensity(save.settings.effects);
+      Camera.shakeEnabled = save.settings.screenShake;
+      if (this.skins.length > 0) this.applySavedSkins();
+    },
+    /**
+     * Pick up a save written by the game in another tab (the
+     * storage event) and refresh the menus that show it.  The run
+     * in progress, if any, carries on.
+     */
+    syncSave(text) {
+      const { save } = PlatformerSave.parseSave(text);
+      if (!save) return;
+      this.applySave(save);
+      this.buildLevelSelectUI();
+      this.buildSkinsUI();
+      Touch.syncSettingsUI();
+      Touch.layout();
+      if (this.state === 'controls') this.buildControlsUI();
+      if (this.state === 'settings') this.syncSettingsUI();
+    },
+    /**
+     * Download the current progress as a save file.
+     */
+    exportSave() {
+      this.saveProgress();
+      const blob = new Blob([PlatformerSave.serializeSave(this.savedData, true)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `platformer-save-${new Date().toISOString().slice(0, 10)}.json`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+    },
+    /**
+     * Read a save file chosen on the settings screen and, once the
+     * player confirms, replace the current progress with it.
+     * Problems are listed on the settings screen.
+     */
+    importSaveFile(file) {
+      file.text().then((text) => {
+        const { save, errors, repaired } = PlatformerSave.parseSave(text);
+        if (!save) {
+          this.showSettingsMessage(`Could not import ${file.name}:`, errors);
+          return;
+        }
+        if (!confirm('Replace your current progress and settings with the imported save?')) return;
+        this.applySave(save);
+        this.saveProgress();
+        this.buildLevelSelectUI();
+        this.buildSkinsUI();
+        Touch.syncSettingsUI();
+        Touch.layout();
+        this.syncSettingsUI();
+        this.showSettingsMessage(`Imported ${file.name}.`, repaired);
+      });
+    },
+    /**
+     * Show a message (and optional list of details) on the settings
+     * screen.  Passing no text clears it.
+     */
+    showSettingsMessage(text = '', details = []) {
+      settingsMessageDiv.textContent = text;
+      details.forEach((detail) => {
+        const line = document.createElement('div');
+        line.textContent = `• ${detail}`;
+        settingsMessageDiv.appendChild(line);
+      });
     },
     /**
      * Show the start menu overlay and hide others.  When the menu
@@ -868,25 +2697,70 @@
       levelCompleteScreen.classList.remove('active');
       levelSelectScreen.classList.remove('active');
       skinsScreen.classList.remove('active');
+      controlsScreen.classList.remove('active');
+      settingsScreen.classList.remove('active');
+      speedrunResultsScreen.classList.remove('active');
     },
     /**
-     * Start playing a specific level.  The chosen index is
-     * validated then used to instantiate a Level and Player.  The
-     * level start time and session coins are reset.  The playing
-     * state triggers update and draw calls in the main loop.
+     * Start playing a specific built-in level.  The chosen index is
+     * validated then handed to startLevel().
      */
     startGame(levelIndex) {
-      if (levelIndex < 0 || levelIndex >= this.levels.length) levelIndex = 0;
-      this.currentLevelIndex = levelIndex;
-      this.level = new Level(this.levels[levelIndex]);
-      const spawnX = this.level.spawnX;
-      const spawnY = this.level.spawnY;
-      this.player = new Player(spawnX, spawnY - this.level.tileSize, this.getSelectedSkinColor());
-      this.camera.x = 0;
-      this.camera.y = 0;
-      this.levelStartTime = performance.now();
+      if (levelIndex < 0 || levelIndex >= this.totalLevels) levelIndex = 0;
+      this.startLevel(levelIndex);
+    },
+    /**
+     * Start playing the level with the given key (built-in index
+     * or custom key).  The level definition is used to instantiate
+     * a Simulation, which builds the Level and Player and reads the
+     * keyboard through Input.  Each attempt gets a fresh seed so its
+     * replay can be reproduced.  If a best run exists for the level
+     * its ghost is started alongside.  The level timer and session
+     * coins are reset.  The playing state triggers update and draw
+     * calls in the main loop.
+     */
+    startLevel(key) {
+      const level = this.getLevelDefinition(key);
+      if (!level) return;
+      this.currentLevelKey = key;
+      this.testPlay = false;
+      this.beginRun(level, this.replays[key]);
+      const record = this.coinRecord(key);
+      record.total = this.sim.level.coins.length;
+      this.bankedCoins = record.collected.slice();
+    },
+    /**
+     * Test play a level definition from the editor.  The run has no
+     * level key, ghost or saved results; dying, finishing or
+     * pressing Escape returns to the editor.
+     */
+    startTestPlay(level) {
+      this.currentLevelKey = null;
+      this.testPlay = true;
+      this.beginRun(level, null);
+    },
+    /**
+     * Start a live run of a level definition, racing the ghost of
+     * best when given.  Shared by startLevel() and startTestPlay().
+     */
+    beginRun(level, best) {
+      const seed = Math.floor(Math.random() * 4294967296);
+      // a jump pressed on a menu or while dying should not carry over
+      Input.jumpRequested = false;
+      this.sim = new Simulation(level, Input, { seed });
+      this.ghost = best ? new Simulation(level, new ReplayInput(best.frames), { seed: best.seed }) : null;
+      this.playerAnim = new PlayerAnimator();
+      this.ghostAnim = new PlayerAnimator();
+      Particles.clear();
+      this.replayReturn = null;
+      this.snapCamera();
       this.currentTime = 0;
+      this.accumulator = 0;
+      // generating the level can take a noticeable moment; the next
+      // frame should not try to catch up on it
+      this.lastFrame = performance.now();
       this.sessionCoins = 0;
+      this.bankedCoins = [];
       this.state = 'playing';
       // Hide overlays
       startScreen.classList.remove('active');
@@ -901,49 +2775,198 @@
      * total coins unless the level is completed.
      */
     resetLevel() {
-      this.startGame(this.currentLevelIndex);
+      this.startLevel(this.currentLevelKey);
+    },
+    /**
+     * The retry control: restart the run in progress, including a
+     * test play.  Does nothing outside a run.
+     */
+    retry() {
+      if (this.state !== 'playing' && this.state !== 'paused') return;
+      if (this.testPlay) {
+        this.startTestPlay(this.sim.source);
+      } else {
+        this.resetLevel();
+      }
     },
     /**
      * Proceed to the next level or loop back to the first.  If
      * there are no more levels a simple message is displayed.
+     * Custom levels have no successor, so they return to the level
+     * select.
      */
     nextLevel() {
-      const next = this.currentLevelIndex + 1;
-      if (next < this.levels.length) {
+      if (this.isCustomKey(this.currentLevelKey)) {
+        levelCompleteScreen.classList.remove('active');
+        this.showLevelSelect();
+        return;
+      }
+      const next = this.currentLevelKey + 1;
+      if (next < this.totalLevels) {
         this.startGame(next);
       } else {
         // all levels done
-        alert('You have completed all levels!');
         this.exitToMenu();
+        this.notify('You have completed all levels!');
       }
     },
     /**
      * Exit to the main menu.  Coins collected in the current
      * attempt are lost (only coins from completed levels persist).
+     * A speedrun in progress is abandoned; the golds it set stay.
      */
     exitToMenu() {
+      Speedrun.abandon();
       this.showMenu();
     },
+    /**
+     * Start a full-game speedrun from the first level.
+     */
+    startSpeedrun() {
+      Speedrun.start();
+      this.startGame(0);
+    },
+    /**
+     * Show the results of the speedrun that just finished.
+     */
+    showSpeedrunResults() {
+      const { time, deaths, previousPB, isPB } = Speedrun.result;
+      const best = Speedrun.sumOfBest(this.totalLevels);
+      let pbStr = 'First completed run!';
+      if (previousPB !== null) {
+        const delta = Speedrun.formatDelta(time - previousPB);
+        pbStr = isPB ? `New personal best! (${delta})` : `Personal best: ${Speedrun.formatTime(previousPB)} (${delta})`;
+      }
+      speedrunStatsDiv.innerHTML =
+        `Time: ${Speedrun.formatTime(time)}<br>${pbStr}<br>Deaths: ${deaths}` +
+        `<br>Sum of best: ${best === null ? '-' : Speedrun.formatTime(best)}`;
+      this.state = 'results';
+      speedrunResultsScreen.classList.add('active');
+    },
+    /**
+     * End a test play and go back to the editor, showing why the
+     * run ended.
+     */
+    returnToEditor(message) {
+      this.testPlay = false;
+      this.ghost = null;
+      pauseScreen.classList.remove('active');
+      Editor.show();
+      Editor.showMessage(message);
+    },
+    /**
+     * Play back a recorded run.  The replay drives its own
+     * Simulation with the seed it was recorded with, so it
+     * reproduces the original run exactly.  returnTo names the
+     * screen to show again when the replay ends or is skipped.
+     */
+    startReplay(key, replay, returnTo) {
+      this.sim = new Simulation(this.getLevelDefinition(key), new ReplayInput(replay.frames), { seed: replay.seed });
+      this.ghost = null;
+      this.playerAnim = new PlayerAnimator();
+      this.bankedCoins = [];
+      Particles.clear();
+      this.replayReturn = returnTo;
+      this.snapCamera();
+      this.currentTime = 0;
+      this.accumulator = 0;
+      this.lastFrame = performance.now();
+      this.state = 'replay';
+      levelCompleteScreen.classList.remove('active');
+      levelSelectScreen.classList.remove('active');
+    },
+    /**
+     * Leave replay playback and return to the screen it was
+     * started from.
+     */
+    stopReplay() {
+      if (this.replayReturn === 'complete') {
+        this.state = 'complete';
+        levelCompleteScreen.classList.add('active');
+      } else {
+        this.showLevelSelect();
+      }
+      this.replayReturn = null;
+    },
     /**
      * Toggle the pause state.  When paused the update logic is
      * skipped but drawing continues.  Resuming hides the pause
-     * overlay.
+     * overlay.  The level timer only advances with simulation
+     * steps so no adjustment is needed on resume.
      */
     togglePause(forceOff = null) {
+      if (this.state === 'replay') {
+        // the pause keys skip a replay instead
+        this.stopReplay();
+        return;
+      }
+      if (this.testPlay && this.state === 'playing') {
+        // during a test play the pause keys go back to the editor
+        this.returnToEditor('Test play stopped.');
+        return;
+      }
       if (this.state === 'playing' && (forceOff === null || forceOff === false)) {
         this.state = 'paused';
         pauseScreen.classList.add('active');
       } else if (this.state === 'paused' || forceOff === true) {
         this.state = 'playing';
         pauseScreen.classList.remove('active');
-        this.levelStartTime = performance.now() - this.currentTime * 1000;
       }
     },
+    /**
+     * The menu overlay shown in the current state, or null while
+     * the game world has the controls.
+     */
+    getOverlay() {
+      const overlays = {
+        menu: startScreen,
+        paused: pauseScreen,
+        complete: levelCompleteScreen,
+        levelSelect: levelSelectScreen,
+        skins: skinsScreen,
+        controls: controlsScreen,
+        settings: settingsScreen,
+        results: speedrunResultsScreen,
+      };
+      return overlays[this.state] || null;
+    },
+    /**
+     * Leave the current overlay the way its Back/Resume button
+     * would.  The start menu has nowhere to go back to.
+     */
+    menuBack() {
+      if (this.state === 'paused') {
+        this.togglePause(false);
+      } else if (this.state === 'complete') {
+        this.exitToMenu();
+      } else if (['levelSelect', 'skins', 'controls', 'settings', 'results'].includes(this.state)) {
+        this.showMenu();
+      }
+    },
+    /**
+     * Show a short message over the game for a couple of seconds.
+     */
+    notify(text) {
+      this.notice = { text, until: performance.now() + 2500 };
+    },
+    drawNotice(now) {
+      if (!this.notice) return;
+      if (now > this.notice.until) {
+        this.notice = null;
+        return;
+      }
+      ctx.fillStyle = '#fff';
+      ctx.font = '14px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText(this.notice.text, Viewport.width - 10, Viewport.height - 10);
+      ctx.textAlign = 'left';
+    },
     /**
      * Show the level select overlay.  Build the UI when entering.
      */
     showLevelSelect() {
       this.state = 'levelSelect';
+      this.showLevelSelectMessage();
       this.buildLevelSelectUI();
       levelSelectScreen.classList.add('active');
       startScreen.classList.remove('active');
@@ -957,104 +2980,400 @@
       skinsScreen.classList.add('active');
       startScreen.classList.remove('active');
     },
+    /**
+     * Show the settings overlay with the current volumes, effects
+     * density and screen shake.
+     */
+    showSettings() {
+      this.state = 'settings';
+      this.syncSettingsUI();
+      this.showSettingsMessage();
+      settingsScreen.classList.add('active');
+      startScreen.classList.remove('active');
+    },
+    syncSettingsUI() {
+      effectsSelect.value = Particles.setting;
+      screenShakeInput.checked = Camera.shakeEnabled;
+      for (const channel of Object.keys(volumeInputs)) {
+        volumeInputs[channel].value = Sound.volumes[channel];
+      }
+    },
+    /**
+     * Show the controls overlay.
+     */
+    showControls() {
+      this.state = 'controls';
+      this.buildControlsUI();
+      controlsScreen.classList.add('active');
+      startScreen.classList.remove('active');
+    },
+    /**
+     * Build the controls list: one row per action with a button
+     * for each binding (clicking it removes the binding) and an Add
+     * button that waits for the next key or pad button.  message
+     * is shown above the list.
+     */
+    buildControlsUI(message = '') {
+      const names = Input.actionNames;
+      controlsMessageDiv.textContent = message;
+      controlsListDiv.innerHTML = '';
+      Input.actions.forEach((action) => {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.flexWrap = 'wrap';
+        row.style.marginBottom = '6px';
+        const label = document.createElement('span');
+        label.style.width = '170px';
+        label.textContent = names[action];
+        row.appendChild(label);
+        Input.bindings[action].forEach((binding) => {
+          const btn = document.createElement('button');
+          btn.textContent = `${Input.describe(binding)} ✕`;
+          btn.title = 'Remove this binding';
+          btn.onclick = () => {
+            Input.bindings[action] = Input.bindings[action].filter((b) => b !== binding);
+            this.saveProgress();
+            this.buildControlsUI();
+          };
+          row.appendChild(btn);
+        });
+        if (Input.bindings[action].length === 0) {
+          const none = document.createElement('span');
+          none.style.color = '#f66';
+          none.textContent = 'unbound';
+          row.appendChild(none);
+        }
+        const add = document.createElement('button');
+        add.textContent = '+ Add';
+        add.onclick = () => {
+          add.textContent = 'Press a key or button…';
+          Input.capture = (binding) => {
+            Input.capture = null;
+            this.bindControl(action, binding);
+          };
+        };
+        row.appendChild(add);
+        controlsListDiv.appendChild(row);
+      });
+    },
+    /**
+     * Add a binding to an action.  A binding can only belong to one
+     * action, so one already used elsewhere is moved and the
+     * conflict is reported.
+     */
+    bindControl(action, binding) {
+      const names = Input.actionNames;
+      const owner = Input.actionFor(binding);
+      const label = Input.describe(binding);
+      let message = `${label} now does ${names[action]}.`;
+      if (owner === action) {
+        message = `${label} is already bound to ${names[action]}.`;
+      } else {
+        if (owner) {
+          Input.bindings[owner] = Input.bindings[owner].filter((b) => b !== binding);
+          message = `${label} was bound to ${names[owner]}; it now does ${names[action]} instead.`;
+        }
+        Input.bindings[action].push(binding);
+        this.saveProgress();
+      }
+      this.buildControlsUI(message);
+    },
     /**
      * Called by the player when a coin is collected.  Only coins
      * collected by finishing a level are saved.  The session coins
-     * count is used for unlocking skins.
+     * count is used for unlocking skins and only includes coins
+     * that have never been paid out; custom levels pay nothing, as
+     * anyone could build one full of coins.
      */
     addCoin() {
-      this.sessionCoins++;
+      this.sessionCoins = this.countNewCoins();
+    },
+    countNewCoins() {
+      if (this.testPlay || this.isCustomKey(this.currentLevelKey)) return 0;
+      return this.sim.level.coins.filter((coin) => coin.collected && !this.bankedCoins.includes(coin.id)).length;
+    },
+    /**
+     * The coin record of a level, created empty on first use.
+     */
+    coinRecord(key) {
+      if (!this.levelCoins[key]) this.levelCoins[key] = { collected: [], total: 0 };
+      return this.levelCoins[key];
+    },
+    /**
+     * Coins found in a level as { found, total }, or null for a
+     * built-in level that has not been played yet (generating it
+     * just to count its coins would make the level select slow).
+     * Levels at hand are counted directly, so edits to a custom
+     * level are reflected.
+     */
+    coinProgress(key) {
+      const record = this.levelCoins[key];
+      if (this.isCustomKey(key) || this.levels[key]) {
+        const level = this.getLevelDefinition(key);
+        const ids = new Level(level, { random: () => 0.5 }).coins.map((coin) => coin.id);
+        const found = record ? record.collected.filter((id) => ids.includes(id)).length : 0;
+        return { found, total: ids.length };
+      }
+      return record ? { found: record.collected.length, total: record.total } : null;
     },
     /**
      * Called when the player reaches the flag.  Calculates level
-     * completion time, updates best time if necessary, adds the
-     * collected coins to the total and displays the completion
-     * overlay.
+     * completion time, updates best time (and the best-run replay)
+     * if necessary, adds the coins found for the first time to the
+     * total, records them for the level and displays the completion
+     * overlay, with the checkpoints used on levels that have them.
+     * The time is simulated time, so it does not depend on the
+     * display's refresh rate.
      */
     completeLevel() {
       this.state = 'complete';
-      const finishTime = (performance.now() - this.levelStartTime) / 1000;
-      const levelIndex = this.currentLevelIndex;
-      const best = this.bestTimes[levelIndex];
+      const finishTime = this.currentTime;
+      const key = this.currentLevelKey;
+      const best = this.bestTimes[key];
+      this.lastReplay = this.sim.getReplay();
       if (best === undefined || finishTime < best) {
-        this.bestTimes[levelIndex] = finishTime;
+        this.bestTimes[key] = finishTime;
+        // a run too long to keep loses the older, slower replay too
+        if (this.lastReplay.steps <= PlatformerSave.MAX_REPLAY_STEPS) this.replays[key] = this.lastReplay;
+        else delete this.replays[key];
       }
-      // add collected coins
+      // pay out the coins found for the first time
       this.coins += this.sessionCoins;
+      const record = this.coinRecord(key);
+      for (const coin of this.sim.level.coins) {
+        if (coin.collected && !record.collected.includes(coin.id)) record.collected.push(coin.id);
+      }
+      const speedrunOver = Speedrun.run ? Speedrun.split(this.totalLevels) : null;
       // Save progress
       this.saveProgress();
+      if (speedrunOver !== null) {
+        // speedruns go straight on to the next level
+        if (speedrunOver) {
+          this.showSpeedrunResults();
+        } else {
+          this.startGame(key + 1);
+        }
+        return;
+      }
       // Display stats
       const timeStr = finishTime.toFixed(2);
-      const bestStr = this.bestTimes[levelIndex].toFixed(2);
-      timeStatsDiv.innerHTML = `Time: ${timeStr}s<br>Best: ${bestStr}s<br>Coins: +${this.sessionCoins}`;
+      const bestStr = this.bestTimes[key].toFixed(2);
+      const parTime = this.getLevelDefinition(key).meta.parTime;
+      const parStr = parTime ? `<br>Par: ${parTime.toFixed(2)}s` : '';
+      const { found, total: coinTotal } = this.coinProgress(key);
+      const coinStr = `<br>Coins: +${this.sessionCoins} (found ${found}/${coinTotal})`;
+      const total = this.sim.level.checkpoints.length;
+      const checkpointStr = total
+        ? `<br>Checkpoints: ${this.sim.checkpointsReached}/${total} (respawns: ${this.sim.respawns})`
+        : '';
+      timeStatsDiv.innerHTML = `Time: ${timeStr}s<br>Best: ${bestStr}s${parStr}${coinStr}${checkpointStr}`;
+      nextLevelButton.textContent = this.isCustomKey(key) ? 'Level Select' : 'Next Level';
       levelCompleteScreen.classList.add('active');
     },
     /**
      * Update and draw logic executed each animation frame.  The
      * loop does not stop when on menus; it simply avoids updating
-     * the game world when not playing.  dt is passed as the
-     * fractional number of 1/60 seconds that elapsed since the
-     * previous frame.  This keeps motion consistent regardless of
-     * frame rate.
+     * the game world when not playing.  Elapsed real time is fed
+     * into an accumulator which is drained in fixed 1/stepRate
+     * second steps, so physics advances at the same rate on every
+     * display.  Whatever is left over is used to interpolate the
+     * rendered positions between the last two steps.  Gamepads are
+     * polled, the touch layer shown or hidden, music scheduled and
+     * particles moved at the start of every frame; sound and
+     * particles stop while paused.
      */
     loop(now) {
-      const dtMs = now - this.lastFrame;
-      // cap dt to avoid huge leaps when the tab is hidden
-      const dt = Math.min(33, dtMs) / 16.6667; // ~60fps normalization
+      const stepMs = 1000 / this.stepRate;
+      // cap the frame time to avoid huge leaps when the tab is hidden
+      const frameMs = Math.min(this.maxFrameTime, Math.max(0, now - this.lastFrame));
       this.lastFrame = now;
+      Gamepads.poll(now);
+      Touch.update();
+      Sound.setPaused(this.state === 'paused');
+      Sound.update();
+      if (this.state !== 'paused') Particles.update(frameMs / 1000);
+      let alpha = 1;
       // update
-      if (this.state === 'playing') {
-        // update time
-        this.currentTime = (now - this.levelStartTime) / 1000;
-        // update level hazards
-        this.level.updateHazards(dt);
-        // update player
-        this.player.update(dt, this.level);
-        // update camera to follow player
-        this.updateCamera();
+      if (this.isSimulating()) {
+        this.accumulator += frameMs;
+        while (this.accumulator >= stepMs && this.isSimulating()) {
+          this.accumulator -= stepMs;
+          this.step();
+        }
+        alpha = this.isSimulating() ? this.accumulator / stepMs : 1;
+        // update camera to follow the interpolated player
+        this.updateCamera(alpha, frameMs / 1000);
+      } else if (this.state === 'dying') {
+        this.updateCamera(1, frameMs / 1000);
+        this.playerAnim.deathTime += frameMs / 1000;
+        if (this.playerAnim.deathTime >= this.playerAnim.deathDuration) this.finishDying();
+      } else if (this.state === 'editor') {
+        Editor.update();
       }
       // draw
-      this.draw();
+      this.draw(alpha);
+      this.drawNotice(now);
       requestAnimationFrame((n) => this.loop(n));
     },
     /**
-     * Update the camera position so that the player stays within
-     * view.  Camera is clamped to the level bounds.
+     * True while the world should advance: during play and while
+     * watching a replay.
+     */
+    isSimulating() {
+      return this.state === 'playing' || this.state === 'replay';
+    },
+    /**
+     * Advance the simulation by exactly one fixed step, animate
+     * the players, emit sounds and particles and react to the
+     * events it raised.  The ghost is stepped in lockstep with the
+     * live run.  Replays only end when their input runs out or the
+     * recorded run finishes; their events only play sounds.  The
+     * ghost and replays skip the death animation and respawn at
+     * their checkpoint at once; the live run spends no steps while
+     * dying, so they stay in step with it.
+     */
+    step() {
+      const dt = 60 / this.stepRate;
+      const events = this.sim.step();
+      this.currentTime = this.sim.time;
+      this.playerAnim.update(this.sim.player, dt);
+      const theme = this.sim.source.meta ? this.sim.source.meta.theme : 'default';
+      for (const ev of events) {
+        Sound.play(ev.type);
+        Particles.forEvent(ev, this.sim.player, this.sim.level, this.getSelectedSkinColor(), theme);
+        Camera.shakeFor(ev);
+      }
+      Particles.slideDust(this.sim.player);
+      if (this.state !== 'replay') Speedrun.tick(1 / this.stepRate);
+      if (this.state === 'replay') {
+        // recorded deaths after a checkpoint respawn straight away
+        if (this.sim.status === 'dead' && this.sim.respawn()) {
+          this.playerAnim = new PlayerAnimator();
+          this.snapCamera();
+        }
+        if (this.sim.status !== 'running' || this.sim.input.done) this.stopReplay();
+        return;
+      }
+      if (this.ghost && this.ghost.status === 'running') {
+        this.ghost.step();
+        if (this.ghost.status === 'dead' && this.ghost.respawn()) this.ghostAnim = new PlayerAnimator();
+        this.ghostAnim.update(this.ghost.player, dt);
+      }
+      for (const ev of events) {
+        this.handleSimEvent(ev);
+      }
+    },
+    /**
+     * Translate a simulation event into game flow: coins add to
+     * the session total, death plays the death animation before
+     * the level restarts or the player respawns at a checkpoint and
+     * reaching the flag completes it.  A test play returns to the
+     * editor instead of restarting or completing.
+     */
+    handleSimEvent(ev) {
+      if (ev.type === 'coin') {
+        this.addCoin();
+      } else if (ev.type === 'death') {
+        this.state = 'dying';
+        this.playerAnim.die();
+      } else if (ev.type === 'win') {
+        if (this.testPlay) {
+          this.returnToEditor(`Test play: Reached the flag in ${this.currentTime.toFixed(2)}s.`);
+        } else {
+          this.completeLevel();
+        }
+      }
+    },
+    /**
+     * Called by the loop once the death animation has played.
+     * After a checkpoint the player respawns there with the coins
+     * they had when reaching it and the timer carries on;
+     * otherwise the level restarts.
+     */
+    finishDying() {
+      Speedrun.addDeath(this.playerAnim.deathDuration);
+      if (this.sim.respawn()) {
+        this.sessionCoins = this.countNewCoins();
+        this.playerAnim = new PlayerAnimator();
+        this.snapCamera();
+        this.accumulator = 0;
+        this.state = 'playing';
+      } else if (this.testPlay) {
+        this.returnToEditor('Test play: You died.');
+      } else {
+        this.resetLevel();
+      }
+    },
+    /**
+     * Move the camera after dt seconds of real time so that the
+     * player stays within view (see Camera).  alpha selects the
+     * interpolated player position that will be drawn.
+     */
+    updateCamera(alpha, dt) {
+      Camera.follow(this.sim.level, this.sim.player, this.cameraZones(), alpha, dt);
+    },
+    /**
+     * Point the camera straight at the player, as at the start of a
+     * run or after a respawn.
+     */
+    snapCamera() {
+      Camera.snap(this.sim.level, this.sim.player, this.cameraZones());
+    },
+    /**
+     * The camera zones of the current level; built-in levels have
+     * none.
      */
-    updateCamera() {
-      const ts = this.level.tileSize;
-      const levelWidth = this.level.cols * ts;
-      const levelHeight = this.level.rows * ts;
-      // center camera on player horizontally
-      const targetX = this.player.x + this.player.width / 2 - canvas.width / 2;
-      const targetY = this.player.y + this.player.height / 2 - canvas.height / 2;
-      // clamp
-      this.camera.x = Math.max(0, Math.min(targetX, levelWidth - canvas.width));
-      this.camera.y = Math.max(0, Math.min(targetY, levelHeight - canvas.height));
+    cameraZones() {
+      return this.sim.source.cameraZones || [];
     },
     /**
      * Render the game world and overlay HUD.  When on menus the
      * world can still be drawn in the background for effect.
+     * alpha is the interpolation factor between simulation steps.
      */
-    draw() {
+    draw(alpha = 1) {
+      if (this.state === 'editor') {
+        ctx.fillStyle = Renderer.palette(Editor.meta.theme).background;
+        ctx.fillRect(0, 0, Viewport.width, Viewport.height);
+        Editor.draw(ctx);
+        return;
+      }
+      const theme = this.sim && this.sim.source.meta ? this.sim.source.meta.theme : 'default';
       // clear canvas
-      ctx.fillStyle = '#111';
-      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.fillStyle = Renderer.palette(theme).background;
+      ctx.fillRect(0, 0, Viewport.width, Viewport.height);
       // draw level behind menus
-      if (this.level) {
-        this.level.draw(ctx, this.camera);
+      if (this.sim) {
+        Renderer.drawLevel(ctx, this.sim.level, Camera.view, alpha, theme, this.bankedCoins);
       }
       // draw player if exists and not on menu
-      if (this.player && this.state !== 'menu' && this.state !== 'levelSelect' && this.state !== 'skins') {
-        this.player.draw(ctx, this.camera);
+      const menus = ['menu', 'levelSelect', 'skins', 'controls', 'settings', 'results'];
+      if (this.sim && !menus.includes(this.state)) {
+        const color = this.getSelectedSkinColor();
+        // the ghost is hidden once its run has finished
+        if (this.ghost && this.ghost.status === 'running' && this.state !== 'complete') {
+          Renderer.drawPlayer(ctx, this.ghost.player, this.ghostAnim, color, Camera.view, alpha, 0.35);
+        }
+        Renderer.drawPlayer(ctx, this.sim.player, this.playerAnim, color, Camera.view, alpha);
+        Particles.draw(ctx, Camera.view);
       }
       // HUD: current time and coin count when playing
-      if (this.state === 'playing') {
+      if (this.state === 'playing' || this.state === 'dying') {
         ctx.fillStyle = '#fff';
         ctx.font = '16px sans-serif';
         const timeDisplay = this.currentTime.toFixed(2);
         ctx.fillText(`Time: ${timeDisplay}s`, 10, 20);
         ctx.fillText(`Coins: ${this.coins + this.sessionCoins}`, 10, 40);
+        Renderer.drawStatus(ctx, this.sim.level, 10, 60);
+      } else if (this.state === 'replay') {
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px sans-serif';
+        ctx.fillText(`Replay  Time: ${this.currentTime.toFixed(2)}s`, 10, 20);
+        ctx.fillText('Esc to skip', 10, 40);
+      }
+      if (Speedrun.run && ['playing', 'dying', 'paused'].includes(this.state)) {
+        Speedrun.draw(ctx, this.totalLevels);
       }
     },
   };
@@ -0,0 +1,350 @@
+// save.js
+/*
+ * Save data format.
+ *
+ * Progress and settings are kept as one JSON document, stored in
+ * localStorage under SAVE_KEY and exported to files in the same
+ * shape:
+ *
+ *   {
+ *     "format": "minimal-platformer-save",
+ *     "version": 5,
+ *     "progress": {
+ *       "coins": 40,
+ *       "unlockedSkins": ["#ffffff", "#00ffff"],
+ *       "selectedSkin": "#00ffff",
+ *       "bestTimes": { "0": 9.5, "custom:abc": 21.25 },
+ *       "replays": { "0": { "seed": 1234, "steps": 570, "time": 9.5, "frames": [[2, 570]] } },
+ *       "levelCoins": { "0": { "collected": ["4,7"], "total": 2 } },
+ *       "speedrun": { "pb": { "time": 612.4, "splits": [9.5, 21.1, ...] }, "golds": [9.2, 11.0, ...] }
+ *     },
+ *     "customLevels": [{ "id": "abc", "format": "minimal-platformer-level", ... }],
+ *     "settings": {
+ *       "bindings": { "jump": ["key:w"] }, "touch": { "mode": "auto" }, "volumes": {},
+ *       "effects": "normal", "screenShake": true
+ *     }
+ *   }
+ *
+ * Skins are identified by their colour.  levelCoins records, per
+ * level, the coins (by "x,y" tile) picked up in completed runs and
+ * how many the level has, so each coin pays out once.  speedrun
+ * holds the personal-best full-game run (its cumulative time at
+ * the end of each level) and the best time ever taken on each
+ * level during a run (the gold segments, null until played).  Saves
+ * written before the format had a version count as version 1:
+ * every field sat at the top level and skins were a list of
+ * unlocked flags by shop position.  Older saves are upgraded one
+ * version at a time by MIGRATIONS, so a change to the format only
+ * needs a new version number and one migration step.  After
+ * migrating, every field is checked; a bad value is replaced by
+ * its default (a bad best time, replay, custom level or setting is
+ * dropped on its own) and reported, so one damaged entry does not
+ * cost the rest of the save.
+ *
+ * The module has no DOM dependency.  In the browser it is exposed as
+ * window.PlatformerSave and expects levelformat.js to be loaded
+ * first; under CommonJS it requires levelformat.js itself.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./levelformat.js'));
+  } else {
+    root.PlatformerSave = factory(root.PlatformerLevelFormat);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LevelFormat) {
+  const SAVE_KEY = 'minimalPlatformerSave';
+  const SAVE_FORMAT = 'minimal-platformer-save';
+  const SAVE_VERSION = 5;
+
+  // the shop's colours when skins were saved by position (version 1)
+  const LEGACY_SKIN_COLOURS = ['#ffffff', '#00ffff', '#ff00ff', '#00ff00', '#ffa500', '#ff4444'];
+
+  // the longest replay kept: an hour at 60 steps a second.  Replays
+  // are expanded to one entry per step for playback, so a damaged
+  // step count must not be able to ask for billions.
+  const MAX_REPLAY_STEPS = 60 * 60 * 60;
+
+  // what each touch control setting may be; anything else is reset
+  const TOUCH_SETTINGS = {
+    mode: (value) => ['auto', 'on', 'off'].includes(value),
+    layout: (value) => ['right', 'left'].includes(value),
+    size: (value) => Number.isFinite(value) && value >= 0.6 && value <= 1.6,
+    opacity: (value) => Number.isFinite(value) && value >= 0.1 && value <= 0.9,
+  };
+
+  /**
+   * A save for a new player.  Settings are left empty so each
+   * system falls back to its own defaults.
+   */
+  function defaultSave() {
+    return {
+      format: SAVE_FORMAT,
+      version: SAVE_VERSION,
+      progress: {
+        coins: 0,
+        unlockedSkins: [LEGACY_SKIN_COLOURS[0]],
+        selectedSkin: LEGACY_SKIN_COLOURS[0],
+        bestTimes: {},
+        replays: {},
+        levelCoins: {},
+        speedrun: { pb: null, golds: [] },
+      },
+      customLevels: [],
+      settings: { bindings: null, touch: null, volumes: null, effects: 'normal', screenShake: true },
+    };
+  }
+
+  /**
+   * Upgrade steps keyed by the version they upgrade from.  Each
+   * takes a document of that version and returns one of the next.
+   */
+  const MIGRATIONS = {
+    1(data) {
+      const skins = Array.isArray(data.skins) ? data.skins : [];
+      const unlockedSkins = LEGACY_SKIN_COLOURS.filter((colour, i) => i === 0 || skins[i] === true);
+      const selected = LEGACY_SKIN_COLOURS[data.selectedSkinIndex];
+      return {
+        format: SAVE_FORMAT,
+        version: 2,
+        progress: {
+          coins: data.coins,
+          unlockedSkins,
+          selectedSkin: unlockedSkins.includes(selected) ? selected : LEGACY_SKIN_COLOURS[0],
+          bestTimes: data.bestTimes,
+          replays: data.replays,
+        },
+        customLevels: data.customLevels,
+        settings: {
+          bindings: data.bindings,
+          touch: data.touch,
+          volumes: data.volumes,
+          effects: data.effects,
+        },
+      };
+    },
+    // coin records start empty: earlier saves did not say which
+    // coins had been paid out
+    2(data) {
+      return Object.assign({}, data, {
+        version: 3,
+        progress: Object.assign({}, data.progress, { levelCoins: {} }),
+      });
+    },
+    3(data) {
+      return Object.assign({}, data, {
+        version: 4,
+        progress: Object.assign({}, data.progress, { speedrun: { pb: null, golds: [] } }),
+      });
+    },
+    // replays recorded before wall slides, ledge grabs and dive
+    // slides no longer play back the same run; best times are kept
+    4(data) {
+      return Object.assign({}, data, {
+        version: 5,
+        progress: Object.assign({}, data.progress, { replays: {} }),
+      });
+    },
+  };
+
+  function isObject(value) {
+    return !!value && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * The version of a parsed save document, or an error sentence
+   * when it is not a save this game can read.
+   */
+  function saveVersion(data) {
+    if (!isObject(data)) return { error: 'The data is not a save object.' };
+    // unversioned saves predate the format field
+    if (data.format === undefined && data.version === undefined) return { version: 1 };
+    if (data.format !== SAVE_FORMAT) {
+      return { error: `Not a save file: "format" should be "${SAVE_FORMAT}".` };
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+      return { error: '"version" must be a whole number of at least 1.' };
+    }
+    if (data.version > SAVE_VERSION) {
+      return { error: `Save version ${data.version} is newer than this game supports (up to ${SAVE_VERSION}).` };
+    }
+    return { version: data.version };
+  }
+
+  /**
+   * Check every field of a current-version document.  Returns the
+   * cleaned save and a sentence for each value that was replaced
+   * or dropped.
+   */
+  function normalizeSave(data) {
+    const save = defaultSave();
+    const repaired = [];
+    const progress = isObject(data.progress) ? data.progress : {};
+    if (!isObject(data.progress)) repaired.push('Progress was missing and has been reset.');
+
+    if (Number.isFinite(progress.coins) && progress.coins >= 0) {
+      save.progress.coins = Math.floor(progress.coins);
+    } else if (progress.coins !== undefined) {
+      repaired.push('The coin count was invalid and has been reset.');
+    }
+    if (Array.isArray(progress.unlockedSkins)) {
+      for (const colour of progress.unlockedSkins) {
+        if (typeof colour === 'string' && !save.progress.unlockedSkins.includes(colour)) {
+          save.progress.unlockedSkins.push(colour);
+        }
+      }
+    } else if (progress.unlockedSkins !== undefined) {
+      repaired.push('The unlocked skins were invalid and have been reset.');
+    }
+    if (save.progress.unlockedSkins.includes(progress.selectedSkin)) {
+      save.progress.selectedSkin = progress.selectedSkin;
+    }
+
+    const bestTimes = isObject(progress.bestTimes) ? progress.bestTimes : {};
+    for (const key of Object.keys(bestTimes)) {
+      if (Number.isFinite(bestTimes[key]) && bestTimes[key] > 0) {
+        save.progress.bestTimes[key] = bestTimes[key];
+      } else {
+        repaired.push(`The best time for level ${key} was invalid and has been removed.`);
+      }
+    }
+    const replays = isObject(progress.replays) ? progress.replays : {};
+    for (const key of Object.keys(replays)) {
+      if (validReplay(replays[key])) {
+        save.progress.replays[key] = replays[key];
+      } else {
+        repaired.push(`The replay for level ${key} was invalid and has been removed.`);
+      }
+    }
+    const levelCoins = isObject(progress.levelCoins) ? progress.levelCoins : {};
+    for (const key of Object.keys(levelCoins)) {
+      const record = levelCoins[key];
+      if (
+        isObject(record) &&
+        Array.isArray(record.collected) &&
+        record.collected.every((id) => typeof id === 'string') &&
+        Number.isInteger(record.total) &&
+        record.total >= 0
+      ) {
+        save.progress.levelCoins[key] = { collected: record.collected.slice(), total: record.total };
+      } else {
+        repaired.push(`The collected coins for level ${key} were invalid and have been reset.`);
+      }
+    }
+    const speedrun = isObject(progress.speedrun) ? progress.speedrun : {};
+    const times = (list) => Array.isArray(list) && list.every((t) => Number.isFinite(t) && t > 0);
+    if (isObject(speedrun.pb) && Number.isFinite(speedrun.pb.time) && times(speedrun.pb.splits)) {
+      save.progress.speedrun.pb = { time: speedrun.pb.time, splits: speedrun.pb.splits.slice() };
+    } else if (speedrun.pb !== undefined && speedrun.pb !== null) {
+      repaired.push('The speedrun personal best was invalid and has been removed.');
+    }
+    if (Array.isArray(speedrun.golds) && speedrun.golds.every((t) => t === null || (Number.isFinite(t) && t > 0))) {
+      save.progress.speedrun.golds = speedrun.golds.slice();
+    } else if (speedrun.golds !== undefined) {
+      repaired.push('The speedrun gold segments were invalid and have been removed.');
+    }
+
+    const levels = Array.isArray(data.customLevels) ? data.customLevels : [];
+    if (data.customLevels !== undefined && !Array.isArray(data.customLevels)) {
+      repaired.push('The custom levels were invalid and have been removed.');
+    }
+    levels.forEach((level, i) => {
+      if (isObject(level) && typeof level.id === 'string' && LevelFormat.validateLevel(level).length === 0) {
+        save.customLevels.push(level);
+      } else {
+        const name = isObject(level) && isObject(level.meta) ? `"${level.meta.name}"` : `#${i + 1}`;
+        repaired.push(`Custom level ${name} was invalid and has been removed.`);
+      }
+    });
+
+    const settings = isObject(data.settings) ? data.settings : {};
+    const validSetting = {
+      // a list of 'key:' and 'pad:' strings per action
+      bindings: (key, value) => Array.isArray(value) && value.every((binding) => typeof binding === 'string'),
+      touch: (key, value) => Object.keys(TOUCH_SETTINGS).includes(key) && TOUCH_SETTINGS[key](value),
+      // a level from silent to full per channel
+      volumes: (key, value) => Number.isFinite(value) && value >= 0 && value <= 1,
+    };
+    for (const name of Object.keys(validSetting)) {
+      if (isObject(settings[name])) {
+        save.settings[name] = {};
+        for (const key of Object.keys(settings[name])) {
+          const value = settings[name][key];
+          if (validSetting[name](key, value)) {
+            save.settings[name][key] = Array.isArray(value) ? value.slice() : value;
+          } else {
+            repaired.push(`The ${name} setting "${key}" was invalid and has been reset.`);
+          }
+        }
+      } else if (settings[name] !== undefined && settings[name] !== null) {
+        repaired.push(`The ${name} settings were invalid and have been reset.`);
+      }
+    }
+    if (typeof settings.effects === 'string') save.settings.effects = settings.effects;
+    if (typeof settings.screenShake === 'boolean') save.settings.screenShake = settings.screenShake;
+    return { save, repaired };
+  }
+
+  /**
+   * True for a replay as returned by Simulation.getReplay(): its
+   * runs each cover at least one step and together cover exactly
+   * steps, which is at most MAX_REPLAY_STEPS.
+   */
+  function validReplay(replay) {
+    return (
+      isObject(replay) &&
+      (replay.seed === null || Number.isInteger(replay.seed)) &&
+      Number.isInteger(replay.steps) &&
+      replay.steps >= 0 &&
+      replay.steps <= MAX_REPLAY_STEPS &&
+      Number.isFinite(replay.time) &&
+      Array.isArray(replay.frames) &&
+      replay.frames.every(
+        (run) => Array.isArray(run) && Number.isInteger(run[0]) && Number.isInteger(run[1]) && run[1] >= 1,
+      ) &&
+      replay.frames.reduce((sum, run) => sum + run[1], 0) === replay.steps
+    );
+  }
+
+  /**
+   * Parse the text of a save (from localStorage or a file).
+   * Returns { save, errors, repaired }: save is the migrated and
+   * cleaned document, or null when the text is not a readable save,
+   * in which case errors says why.  repaired lists the values that
+   * had to be reset.
+   */
+  function parseSave(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (err) {
+      return { save: null, errors: [`The save is not valid JSON (${err.message}).`], repaired: [] };
+    }
+    const { version, error } = saveVersion(data);
+    if (error) return { save: null, errors: [error], repaired: [] };
+    for (let v = version; v < SAVE_VERSION; v++) {
+      data = MIGRATIONS[v](data);
+    }
+    const { save, repaired } = normalizeSave(data);
+    return { save, errors: [], repaired };
+  }
+
+  /**
+   * Serialise a save.  pretty adds indentation for exported files.
+   */
+  function serializeSave(save, pretty = false) {
+    return pretty ? JSON.stringify(save, null, 2) + '\n' : JSON.stringify(save);
+  }
+
+  return {
+    SAVE_KEY,
+    SAVE_FORMAT,
+    SAVE_VERSION,
+    MAX_REPLAY_STEPS,
+    MIGRATIONS,
+    defaultSave,
+    normalizeSave,
+    parseSave,
+    serializeSave,
+  };
+});
@@ -0,0 +1,1224 @@
+// sim.js
+/*
+ * Headless simulation core for the platformer.
+ *
+ * Level parsing, collision, player physics and entity movement
+ * live here, free of any DOM or canvas access, so the same code
+ * drives the browser game and can be loaded in Node for automated
+ * tests, bots and level validation.  What each tile character does
+ * comes from the tile registry in tiles.js, and what each entity
+ * does from the entity registry in entities.js.  In the browser the
+ * module is exposed as window.PlatformerSim and expects both to be
+ * loaded first; under CommonJS it requires them itself.
+ *
+ * Example (Node):
+ *
+ *   const { Simulation, InputState } = require('./sim.js');
+ *   const input = new InputState();
+ *   const sim = new Simulation(map, input, { seed: 1 });
+ *   input.right = true;
+ *   while (sim.status === 'running' && sim.steps < 600) sim.step();
+ *   const replay = sim.getReplay();
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./tiles.js'), require('./entities.js'));
+  } else {
+    root.PlatformerSim = factory(root.PlatformerTiles, root.PlatformerEntities);
+  }
+})(typeof self !== 'undefined' ? self : this, function (Tiles, Entities) {
+  /**
+   * Number of simulation steps per second.  All per-step physics
+   * constants (acceleration, gravity, timers) are tuned for this
+   * rate.
+   */
+  const STEP_RATE = 60;
+
+  /**
+   * Edges of a level whose definition does not set them: all open,
+   * so leaving the grid sideways or falling below it is fatal.
+   */
+  const DEFAULT_EDGES = { left: 'open', right: 'open', top: 'open', bottom: 'open' };
+
+  /**
+   * Bit flags used to pack one step of input into a number for
+   * replays.  The jump button is recorded as released rather than
+   * held, so an input source that never lets go of it packs the
+   * same masks as before jump height depended on it.  Replays
+   * recorded before then still do not play back the same run: wall
+   * slides, ledge grabs and dive slides change where it goes, so
+   * saves from then drop their replays (see save.js).
+   */
+  const INPUT_LEFT = 1;
+  const INPUT_RIGHT = 2;
+  const INPUT_DOWN = 4;
+  const INPUT_JUMP = 8;
+  const INPUT_JUMP_RELEASED = 16;
+
+  /**
+   * Small seeded pseudo random generator (mulberry32).  Returns a
+   * function producing floats in [0, 1) like Math.random, so a
+   * run can be reproduced exactly from its seed.
+   */
+  function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Pack an input source's current state (directions, a queued
+   * jump and whether jump is held) into a single mask.
+   */
+  function packInput(input) {
+    let mask = 0;
+    if (input.left) mask |= INPUT_LEFT;
+    if (input.right) mask |= INPUT_RIGHT;
+    if (input.down) mask |= INPUT_DOWN;
+    if (input.jumpRequested) mask |= INPUT_JUMP;
+    if (!input.jumpHeld) mask |= INPUT_JUMP_RELEASED;
+    return mask;
+  }
+
+  /**
+   * Run-length encode a list of per-step input masks into
+   * [mask, count] pairs.  Input rarely changes between steps, so
+   * this keeps replays small enough for localStorage.
+   */
+  function encodeFrames(masks) {
+    const runs = [];
+    for (const mask of masks) {
+      const last = runs[runs.length - 1];
+      if (last && last[0] === mask) {
+        last[1]++;
+      } else {
+        runs.push([mask, 1]);
+      }
+    }
+    return runs;
+  }
+
+  /**
+   * Expand [mask, count] pairs back into one mask per step.
+   */
+  function decodeFrames(runs) {
+    const masks = [];
+    for (const [mask, count] of runs) {
+      for (let i = 0; i < count; i++) masks.push(mask);
+    }
+    return masks;
+  }
+
+  /**
+   * Plain input source for headless use.  It mirrors the shape of
+   * the browser Input manager: directional flags plus a queued
+   * jump request consumed once by the player, and whether jump is
+   * held.  Jump starts out held, so every jump reaches full height
+   * unless jumpHeld is cleared.
+   */
+  class InputState {
+    constructor() {
+      this.left = false;
+      this.right = false;
+      this.down = false;
+      this.jumpRequested = false;
+      this.jumpHeld = true;
+    }
+
+    /**
+     * Consume the jump request if there was one.
+     */
+    consumeJump() {
+      if (this.jumpRequested) {
+        this.jumpRequested = false;
+        return true;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Input source that plays back a recorded replay.  The
+   * simulation calls nextStep() before each update, which loads
+   * that step's recorded flags.  done becomes true once every
+   * recorded step has been played.
+   */
+  class ReplayInput {
+    constructor(runs) {
+      this.masks = decodeFrames(runs);
+      this.index = 0;
+      this.done = this.masks.length === 0;
+      this.left = false;
+      this.right = false;
+      this.down = false;
+      this.jumpRequested = false;
+      this.jumpHeld = true;
+    }
+
+    /**
+     * Load the flags for the next recorded step.
+     */
+    nextStep() {
+      const mask = this.index < this.masks.length ? this.masks[this.index] : 0;
+      this.index++;
+      this.done = this.index >= this.masks.length;
+      this.left = (mask & INPUT_LEFT) !== 0;
+      this.right = (mask & INPUT_RIGHT) !== 0;
+      this.down = (mask & INPUT_DOWN) !== 0;
+      this.jumpRequested = (mask & INPUT_JUMP) !== 0;
+      this.jumpHeld = (mask & INPUT_JUMP_RELEASED) === 0;
+    }
+
+    /**
+     * Consume the jump request if there was one.
+     */
+    consumeJump() {
+      if (this.jumpRequested) {
+        this.jumpRequested = false;
+        return true;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Player represents the stickman controlled by the user.  It
+   * encapsulates all physics (acceleration, friction, gravity,
+   * jumping, sliding, diving and wall jumping) as well as basic
+   * state such as whether the character is on the ground or
+   * touching a wall.  The update() method uses delta time to
+   * advance the simulation and query collisions from the current
+   * level.  Input comes from whatever source is passed in and
+   * outcomes are reported as events rather than acted upon, so
+   * the player has no knowledge of the page or the Game object.
+   */
+  class Player {
+    constructor(spawnX, spawnY) {
+      this.x = spawnX;
+      this.y = spawnY;
+      this.width = 24;
+      this.height = 40;
+      this.baseHeight = this.height;
+      this.velX = 0;
+      this.velY = 0;
+      this.acc = 0.4; // horizontal acceleration per frame
+      this.maxSpeed = 5.5; // maximum horizontal speed
+      this.jumpForce = 9;
+      this.gravity = 0.45;
+      this.onGround = false;
+      this.onWall = false;
+      this.wallDir = 0; // -1 left, 1 right
+      // surfaces (tile materials) underfoot and beside the player as
+      // of the last step, or null
+      this.groundMaterial = null;
+      this.wallMaterial = null;
+      this.sliding = false;
+      this.slideTimer = 0;
+      this.slideDuration = 15;
+      this.dive = false;
+      this.coyoteTimer = 0;
+      this.jumpBuffer = 0;
+      // releasing jump while still rising from a jump keeps this
+      // share of the upward speed, so a tap gives a short hop
+      this.jumpCut = 0.45;
+      this.jumping = false;
+      // fastest fall while pressing into a wall
+      this.wallSlideSpeed = 2.5;
+      // how far the top of the player may be from the top of a wall
+      // for it to catch hold of the ledge, and the ledge it hangs
+      // from while grabbing
+      this.ledgeReach = 12;
+      this.grabbing = false;
+      this.ledge = null;
+      // speed a dive carries into a slide when down is held as it
+      // lands
+      this.diveSlideSpeed = 5.5;
+      // position at the start of the last simulation step
+      this.prevX = spawnX;
+      this.prevY = spawnY;
+    }
+
+    /**
+     * Called once per simulation step.  Updates the player's
+     * position, velocity and state based on input and collisions.
+     * dt is a multiplier representing how many 1/60th of a second
+     * have elapsed.  The game loop always passes a fixed step so
+     * the result is identical on every display, but every rate
+     * below is scaled by dt so the maths stays correct either way.
+     * How the player accelerates, slows down, clings and wall
+     * jumps depends on the material of the surface it stands on or
+     * touches (see tiles.js).  Letting go of jump early cuts a jump
+     * short, pressing into a wall while falling slides down it, and
+     * falling past the top of a wall catches hold of the ledge:
+     * pressing towards the wall then climbs up, pressing away or
+     * down lets go and jumping jumps from it.  Holding down through
+     * the landing of a dive turns it into a slide.
+     * input must expose left/right/down/jumpHeld flags and
+     * consumeJump().
+     * Returns the list of events ({ type }) raised during the step:
+     * 'jump', 'wallJump' (with the wall's side as dir), 'slide'
+     * (with fromDive when it ends a dive), 'dive', 'grab', 'climb',
+     * 'land' (with the fall speed and whether it ended a dive),
+     * 'bounce', 'break' (with the tile's tx/ty), 'key' and 'door'
+     * (with the colour and tx/ty), 'defeat' (with the enemy's x/y),
+     * 'coin' (with its id and x/y), 'death' and 'win'.
+     */
+    update(dt, level, input) {
+      const events = [];
+      const wasOnGround = this.onGround;
+      // remember where this step started so rendering can
+      // interpolate between the previous and current position
+      this.prevX = this.x;
+      this.prevY = this.y;
+      // ride along with the platform stood on
+      level.carry(this);
+      // in the air the player handles as on an ordinary surface
+      const ground = (this.onGround && this.groundMaterial) || Tiles.DEFAULT_MATERIAL;
+      const wall = (this.onWall && this.wallMaterial) || Tiles.DEFAULT_MATERIAL;
+      // Apply horizontal input
+      let move = 0;
+      if (input.left) move -= 1;
+      if (input.right) move += 1;
+      // letting go of a ledge with down drops rather than dives
+      let released = false;
+      if (this.grabbing) {
+        if (move === this.ledge.dir) {
+          this.climb(level);
+          events.push({ type: 'climb' });
+        } else if (move !== 0 || input.down) {
+          this.grabbing = false;
+          released = true;
+        } else {
+          // hang still; a jump from here counts as one from the ground
+          this.velX = 0;
+          this.coyoteTimer = 6;
+        }
+      }
+      // accelerate horizontally
+      this.velX += move * this.acc * ground.accel * dt;
+      // apply friction if no input
+      if (move === 0) {
+        this.velX *= Math.pow(ground.friction, dt);
+        if (Math.abs(this.velX) < 0.05) this.velX = 0;
+      }
+      // cap horizontal speed
+      if (this.velX > this.maxSpeed) this.velX = this.maxSpeed;
+      if (this.velX < -this.maxSpeed) this.velX = -this.maxSpeed;
+
+      // initiate slide if down pressed on ground and moving fast
+      if (this.onGround && input.down && !this.sliding && Math.abs(this.velX) > 2) {
+        this.startSlide();
+        // small boost
+        this.velX += this.velX > 0 ? 1 : -1;
+        events.push({ type: 'slide' });
+      }
+      // handle sliding state
+      if (this.sliding) {
+        this.slideTimer -= dt;
+        this.velX *= Math.pow(0.98, dt);
+        if (this.slideTimer <= 0 || !input.down) {
+          // end slide
+          this.sliding = false;
+          // restore height
+          const oldHeight = this.height;
+          this.height = this.baseHeight;
+          this.y -= this.baseHeight - oldHeight;
+        }
+      }
+
+      // Dive: pressing down while in air triggers a fast drop
+      if (!this.onGround && input.down && !this.dive && !released) {
+        this.dive = true;
+        this.velY = 12;
+        events.push({ type: 'dive' });
+      }
+
+      // Update coyote timer when on ground
+      if (this.onGround) {
+        this.coyoteTimer = 6; // roughly 0.1s
+      } else if (this.coyoteTimer > 0) {
+        this.coyoteTimer -= dt;
+      }
+
+      // Jump buffering: if jump requested set buffer
+      if (input.consumeJump()) {
+        this.jumpBuffer = 6; // 0.1s
+      } else if (this.jumpBuffer > 0) {
+        this.jumpBuffer -= dt;
+      }
+
+      // Jump when jump buffer and coyote
+      if (this.jumpBuffer > 0) {
+        if (this.coyoteTimer > 0) {
+          // normal jump
+          this.velY = -this.jumpForce;
+          this.onGround = false;
+          this.grabbing = false;
+          this.jumping = true;
+          this.coyoteTimer = 0;
+          this.jumpBuffer = 0;
+          events.push({ type: 'jump' });
+        } else if (this.onWall && wall.wallJump) {
+          // wall jump
+          events.push({ type: 'wallJump', dir: this.wallDir });
+          this.velY = -this.jumpForce * 0.9;
+          this.velX = -this.wallDir * (this.maxSpeed * 0.8);
+          this.onWall = false;
+          this.jumping = true;
+          this.jumpBuffer = 0;
+        }
+      }
+      // letting go of jump on the way up cuts the jump short
+      if (this.jumping && !input.jumpHeld && this.velY < 0) {
+        this.velY *= this.jumpCut;
+        this.jumping = false;
+      }
+      if (this.velY >= 0) this.jumping = false;
+
+      // apply gravity, unless hanging from a ledge or clinging to a
+      // sticky wall
+      if (this.grabbing || (this.onWall && wall.sticky && !this.onGround && this.velY >= 0)) {
+        this.velY = 0;
+      } else {
+        this.velY += this.gravity * dt;
+      }
+      if (this.velY > 15) this.velY = 15;
+      // pressing into a wall while falling slides down it
+      if (this.onWall && move === this.wallDir && !this.onGround && !this.dive) {
+        this.velY = Math.min(this.velY, this.wallSlideSpeed);
+      }
+
+      // Proposed new position; conveyors move the player on top of
+      // its own speed
+      let nextX = this.x + (this.velX + ground.conveyor) * dt;
+      let nextY = this.y + this.velY * dt;
+
+      const fallSpeed = this.velY;
+      // Query level collision and adjust accordingly
+      const coll = level.collide(this, nextX, nextY);
+      this.x = coll.x;
+      this.y = coll.y;
+      this.onGround = coll.onGround;
+      this.onWall = coll.onWall;
+      this.wallDir = coll.wallDir;
+      this.groundMaterial = coll.groundMaterial;
+      this.wallMaterial = coll.wallMaterial;
+      if (this.onGround && !wasOnGround) {
+        events.push({ type: 'land', speed: fallSpeed, dive: this.dive });
+        // holding down through a dive's landing turns it into a slide
+        const dir = move || Math.sign(this.velX);
+        if (this.dive && input.down && dir !== 0 && !this.sliding) {
+          this.startSlide();
+          this.velX = dir * Math.max(Math.abs(this.velX), this.diveSlideSpeed);
+          events.push({ type: 'slide', fromDive: true });
+        }
+      }
+      for (const tile of coll.broken) {
+        events.push({ type: 'break', tx: tile.tx, ty: tile.ty });
+      }
+      for (const key of coll.keys) {
+        events.push({ type: 'key', color: key.color, tx: key.tx, ty: key.ty });
+      }
+      for (const door of coll.opened) {
+        events.push({ type: 'door', color: door.color, tx: door.tx, ty: door.ty });
+      }
+      for (const ent of coll.defeated) {
+        events.push({ type: 'defeat', x: ent.x + ent.width / 2, y: ent.y + ent.height / 2 });
+      }
+      // landing on an enemy bounces the player off it
+      if (coll.stomp) {
+        this.velY = -this.jumpForce * 0.6;
+        this.dive = false;
+        this.jumping = false;
+      }
+      // bounce pad interaction
+      if (coll.bounce) {
+        this.velY = -this.jumpForce * 1.5;
+        this.dive = false;
+        this.jumping = false;
+        events.push({ type: 'bounce' });
+      }
+      // hazard and enemy check
+      if (coll.die) {
+        events.push({ type: 'death' });
+        return events;
+      }
+      if (coll.win) {
+        events.push({ type: 'win' });
+        return events;
+      }
+      if (coll.collectedCoin) {
+        const coin = coll.collectedCoin;
+        events.push({ type: 'coin', id: coin.id, x: coin.x, y: coin.y });
+      }
+      // catch hold of a ledge reached against a wall
+      const ledge = this.grabbing ? null : this.ledgeAt(level);
+      if (ledge) {
+        this.grabbing = true;
+        this.ledge = ledge;
+        this.y = ledge.ty * level.tileSize;
+        this.velX = 0;
+        this.velY = 0;
+        events.push({ type: 'grab' });
+      }
+      // Reset dive when touching ground
+      if (this.onGround) {
+        this.dive = false;
+      }
+      return events;
+    }
+
+    /**
+     * Shrink to sliding height, keeping the feet where they are.
+     */
+    startSlide() {
+      this.sliding = true;
+      this.slideTimer = this.slideDuration;
+      this.height = this.baseHeight / 2;
+      this.y += this.baseHeight - this.height;
+    }
+
+    /**
+     * The ledge the player can catch hold of, as the tile whose top
+     * corner it would hang from and the side that is on
+     * ({ tx, ty, dir }), or null.  That takes falling (or the top of
+     * a jump) against a solid tile whose top is within ledgeReach of
+     * the player's head and has open space above it.
+     */
+    ledgeAt(level) {
+      if (this.onGround || !this.onWall || this.velY < 0 || this.dive || this.sliding) return null;
+      const ts = level.tileSize;
+      const tx = Math.floor((this.wallDir > 0 ? this.x + this.width : this.x - 1) / ts);
+      const ty = Math.round(this.y / ts);
+      if (Math.abs(this.y - ty * ts) > this.ledgeReach) return null;
+      if (!level.isSolid(level.tileAt(tx, ty)) || level.isSolid(level.tileAt(tx, ty - 1))) return null;
+      return { tx, ty, dir: this.wallDir };
+    }
+
+    /**
+     * Climb from a ledge onto the top of its tile.
+     */
+    climb(level) {
+      const ts = level.tileSize;
+      const { tx, ty, dir } = this.ledge;
+      this.x = dir > 0 ? tx * ts : (tx + 1) * ts - this.width;
+      this.y = ty * ts - this.height;
+      this.velX = 0;
+      this.velY = 0;
+      this.grabbing = false;
+      this.onGround = true;
+    }
+
+    /**
+     * Position blended between the previous and current simulation
+     * step.  alpha is the fraction of a step that has elapsed since
+     * the last update (0..1).
+     */
+    renderPos(alpha) {
+      return {
+        x: this.prevX + (this.x - this.prevX) * alpha,
+        y: this.prevY + (this.y - this.prevY) * alpha,
+      };
+    }
+
+    /**
+     * Copy of the player's full state.  All fields are plain
+     * values, or objects that are replaced rather than changed (the
+     * materials and the ledge), so a shallow copy is enough.
+     */
+    clone() {
+      return Object.assign(Object.create(Player.prototype), this);
+    }
+  }
+
+  /**
+   * Represents a single level.  Each level is built from a 2D
+   * array of characters, given either directly as an array of row
+   * strings or as a level definition ({ meta, tiles, entities },
+   * see levelformat.js; only meta.edges matters here).  The level
+   * class exposes collision detection and entity/coin management;
+   * drawing is left to the renderer.
+   * Entities (hazards, enemies, turrets and their projectiles) are
+   * stored separately in pixel coordinates and updated each step.
+   * options.random supplies the random source used for hazard
+   * speeds so headless runs can be made deterministic.
+   */
+  class Level {
+    constructor(source, options = {}) {
+      const tiles = Array.isArray(source) ? source : source.tiles;
+      // convert each row into an array of characters for easy
+      // modification
+      this.map = tiles.map((row) => row.split(''));
+      this.rows = this.map.length;
+      this.cols = this.map[0].length;
+      this.tileSize = 40;
+      this.spawnX = 0;
+      this.spawnY = 0;
+      this.coins = [];
+      this.entities = [];
+      this.checkpoints = [];
+      // colours of the keys picked up, and which switch channels are
+      // on
+      this.heldKeys = [];
+      this.channels = {};
+      // events raised by entities during the current step
+      this.events = [];
+      // 'solid' or 'open' for each side of the grid (see levelformat.js)
+      this.edges = Object.assign({}, DEFAULT_EDGES, source.meta && source.meta.edges);
+      this.random = options.random || Math.random;
+      this.parse();
+      if (!Array.isArray(source) && source.entities) {
+        this.parseEntities(source.entities);
+      }
+    }
+
+    /**
+     * Iterate through map and populate spawn, coins, checkpoints
+     * and entities.  Replace consumed tokens with blanks so the
+     * underlying map remains free for collision queries.
+     */
+    parse() {
+      for (let y = 0; y < this.rows; y++) {
+        for (let x = 0; x < this.cols; x++) {
+          const ch = this.map[y][x];
+          if (ch === 'P') {
+            this.spawnX = x * this.tileSize;
+            // spawn on top of tile
+            this.spawnY = y * this.tileSize;
+            this.map[y][x] = ' ';
+          } else if (ch === 'C') {
+            // coins are identified by their tile so the game can
+            // remember which ones were collected across runs
+            this.coins.push({
+              id: `${x},${y}`,
+              x: x * this.tileSize + this.tileSize / 2,
+              y: y * this.tileSize + this.tileSize / 2,
+              collected: false,
+            });
+            this.map[y][x] = ' ';
+          } else if (ch === 'K') {
+            // checkpoint; becomes active the first time it is touched
+            this.checkpoints.push({ tx: x, ty: y, reached: false, active: false });
+            this.map[y][x] = ' ';
+          } else if (Entities.typeForChar(ch)) {
+            // entity placed by its map character with default props
+            const entityType = Entities.typeForChar(ch);
+            const props = entityType.charProps ? entityType.charProps(this) : {};
+            this.spawn(entityType.type, x * this.tileSize, y * this.tileSize, props);
+            this.map[y][x] = ' ';
+          }
+        }
+      }
+    }
+
+    /**
+     * Create the entities listed in a level definition.  Entries
+     * are in tiles and carry the type's own props (a hazard's
+     * range, speed and direction, say); types that are not
+     * registered are skipped.
+     */
+    parseEntities(entities) {
+      for (const ent of entities) {
+        if (Entities.getEntityType(ent.type)) {
+          this.spawn(ent.type, ent.x * this.tileSize, ent.y * this.tileSize, ent);
+        }
+      }
+    }
+
+    /**
+     * Add an entity of a registered type whose tile has its top
+     * left corner at (x, y) pixels, and return it.  Entities
+     * spawned during a step (a turret's shots) first move on the
+     * next one.
+     */
+    spawn(type, x, y, props = {}) {
+      const entityType = Entities.getEntityType(type);
+      const ent = Object.assign(
+        { type, x, y, solid: entityType.solid, removed: false },
+        entityType.create(this, x, y, props),
+      );
+      ent.prevX = ent.x;
+      ent.prevY = ent.y;
+      this.entities.push(ent);
+      return ent;
+    }
+
+    /**
+     * Advance every entity by one step through its type's update
+     * hook, after dropping those removed during the last one.
+     * Speeds are expressed per 1/60th of a second and scaled by dt.
+     * Returns the events the entities raised (switches turning
+     * channels on or off).
+     */
+    updateEntities(dt) {
+      this.events = [];
+      this.entities = this.entities.filter((ent) => !ent.removed);
+      const count = this.entities.length;
+      for (let i = 0; i < count; i++) {
+        const ent = this.entities[i];
+        const entityType = Entities.getEntityType(ent.type);
+        ent.prevX = ent.x;
+        ent.prevY = ent.y;
+        if (entityType.update && !ent.removed) entityType.update(ent, this, dt);
+      }
+      return this.events;
+    }
+
+    /**
+     * True when the named switch channel is on.
+     */
+    channelOn(channel) {
+      return !!this.channels[channel];
+    }
+
+    /**
+     * Turn a switch channel on or off, raising a 'switch' event
+     * when that changes it.
+     */
+    setChannel(channel, on) {
+      if (this.channelOn(channel) === on) return;
+      this.channels[channel] = on;
+      this.events.push({ type: 'switch', channel, on });
+    }
+
+    /**
+     * Move a player standing on top of a solid entity by as much as
+     * the entity moved this step, so platforms carry their riders.
+     * The horizontal part is skipped when it would push the player
+     * into a solid tile.  Called at the start of the player's step,
+     * after the entities have moved.
+     */
+    carry(player) {
+      if (!player.onGround) return;
+      const feet = player.y + player.height;
+      for (const ent of this.entities) {
+        const entityType = Entities.getEntityType(ent.type);
+        if (!ent.solid || ent.removed || !entityType.sides.top) continue;
+        if (Math.abs(feet - ent.prevY) > 0.01) continue;
+        if (player.x + player.width <= ent.prevX || player.x >= ent.prevX + ent.width) continue;
+        const dx = ent.x - ent.prevX;
+        player.y += ent.y - ent.prevY;
+        if (!this.boxInSolid(player.x + dx, player.y, player.width, player.height)) player.x += dx;
+        return;
+      }
+    }
+
+    /**
+     * True when the box at (x, y) of size w by h overlaps a solid
+     * tile.
+     */
+    boxInSolid(x, y, w, h) {
+      const ts = this.tileSize;
+      for (let ty = Math.floor(y / ts); ty <= Math.floor((y + h - 1) / ts); ty++) {
+        for (let tx = Math.floor(x / ts); tx <= Math.floor((x + w - 1) / ts); tx++) {
+          if (this.isSolid(this.tileAt(tx, ty))) return true;
+        }
+      }
+      return false;
+    }
+
+    /**
+     * The checkpoint whose tile overlaps the box at (x, y) of size
+     * w by h, or null.
+     */
+    checkpointAt(x, y, w, h) {
+      const ts = this.tileSize;
+      for (const cp of this.checkpoints) {
+        const cx = cp.tx * ts;
+        const cy = cp.ty * ts;
+        if (x < cx + ts && x + w > cx && y < cy + ts && y + h > cy) return cp;
+      }
+      return null;
+    }
+
+    /**
+     * Independent copy of the level's mutable state (tiles, coins,
+     * checkpoints, entities, keys and switches) so a search can
+     * branch without affecting the original.
+     */
+    clone() {
+      const copy = Object.assign(Object.create(Level.prototype), this);
+      copy.map = this.map.map((row) => row.slice());
+      copy.coins = this.coins.map((coin) => Object.assign({}, coin));
+      copy.entities = this.entities.map((ent) => Object.assign({}, ent));
+      copy.checkpoints = this.checkpoints.map((cp) => Object.assign({}, cp));
+      copy.heldKeys = this.heldKeys.slice();
+      copy.channels = Object.assign({}, this.channels);
+      return copy;
+    }
+
+    /**
+     * The tile at (tx, ty).  Outside the grid this is a wall past a
+     * solid edge and empty space past an open one.
+     */
+    tileAt(tx, ty) {
+      if (ty >= 0 && ty < this.rows && tx >= 0 && tx < this.cols) return this.map[ty][tx];
+      const e = this.edges;
+      const solid =
+        (tx < 0 && e.left === 'solid') ||
+        (tx >= this.cols && e.right === 'solid') ||
+        (ty < 0 && e.top === 'solid') ||
+        (ty >= this.rows && e.bottom === 'solid');
+      return solid ? '#' : ' ';
+    }
+
+    /**
+     * True once a box at (x, y) of size w by h has left the level
+     * completely through its left, right or bottom side.  Solid
+     * edges keep the player in, so in practice only open edges act
+     * as kill planes.  The top never is one: an open-topped level
+     * can be jumped out of and back into.
+     */
+    outOfBounds(x, y, w, h) {
+      const ts = this.tileSize;
+      return x + w <= 0 || x >= this.cols * ts || y >= this.rows * ts;
+    }
+
+    /**
+     * Determine if a given tile character is solid, according to
+     * its registered tile type.
+     */
+    isSolid(ch) {
+      return Tiles.getTile(ch).solid;
+    }
+
+    /**
+     * The surface material of the tile at (tx, ty).
+     */
+    materialAt(tx, ty) {
+      return Tiles.getTile(this.tileAt(tx, ty)).material;
+    }
+
+    /**
+     * Collision detection and response.  Accepts the player and
+     * proposed new coordinates (nextX, nextY).  Performs axis
+     * aligned bounding box checks against the tile map and
+     * entities.  Tiles at the player's leading edges block it
+     * (blockAt), solid entities push it back out (blockEntities) and
+     * then every tile it overlaps or touches gets its overlap
+     * callback (overlapTiles); what each tile does comes from the
+     * tile registry, and each entity the player overlaps gets its
+     * type's touch callback.  Adjusts the player's position and
+     * flags based on collisions.  Returns an object with corrected
+     * x/y, booleans for onGround, onWall, wallDir, bounce, die and
+     * win, groundMaterial and wallMaterial (the material of the
+     * surface stood on and of the wall touched, or null),
+     * collectedCoin (the coin picked up, or null), broken, the
+     * tiles ({ tx, ty }) broken by a dive, keys and opened, the
+     * keys picked up and doors opened ({ color, tx, ty }), defeated,
+     * the enemies beaten this step, and stomp, true when one of
+     * them was landed on.
+     */
+    collide(player, nextX, nextY) {
+      const ts = this.tileSize;
+      const result = {
+        x: nextX,
+        y: nextY,
+        onGround: false,
+        onWall: false,
+        wallDir: 0,
+        groundMaterial: null,
+        wallMaterial: null,
+        bounce: false,
+        die: false,
+        win: false,
+        collectedCoin: null,
+        broken: [],
+        keys: [],
+        opened: [],
+        defeated: [],
+        stomp: false,
+      };
+
+      const w = player.width;
+      const h = player.height;
+
+      // Horizontal collisions
+      // compute vertical tile range that player occupies
+      const top = Math.floor(result.y / ts);
+      const bottom = Math.floor((result.y + h - 1) / ts);
+      // directions come from the step's movement rather than the
+      // velocity, which leaves out what a conveyor adds
+      if (result.x !== player.x) {
+        // moving right meets the left side of the tiles beyond the
+        // right edge, moving left the right side of those beyond
+        // the left edge
+        const col = Math.floor((result.x > player.x ? result.x + w : result.x) / ts);
+        const side = result.x > player.x ? 'left' : 'right';
+        for (let row = top; row <= bottom; row++) {
+          this.blockAt(player, col, row, side, result);
+        }
+      }
+
+      // Vertical collisions
+      const left = Math.floor(result.x / ts);
+      const right = Math.floor((result.x + w - 1) / ts);
+      if (result.y !== player.y) {
+        const row = Math.floor((result.y > player.y ? result.y + h : result.y) / ts);
+        const side = result.y > player.y ? 'top' : 'bottom';
+        for (let col = left; col <= right; col++) {
+          this.blockAt(player, col, row, side, result);
+        }
+      }
+
+      this.blockEntities(player, result);
+      this.overlapTiles(player, result);
+      const px = result.x;
+      const py = result.y;
+
+      // Collect coins
+      for (const coin of this.coins) {
+        if (!coin.collected) {
+          const dx = px + w / 2 - coin.x;
+          const dy = py + h / 2 - coin.y;
+          // simple bounding radius check
+          if (Math.abs(dx) < ts / 2 && Math.abs(dy) < ts / 2) {
+            coin.collected = true;
+            result.collectedCoin = coin;
+          }
+        }
+      }
+
+      // Entity collisions
+      const box = { x: px, y: py, width: w, height: h };
+      for (const ent of this.entities) {
+        const entityType = Entities.getEntityType(ent.type);
+        if (!ent.removed && entityType.touch && Entities.overlaps(box, ent)) {
+          entityType.touch({ level: this, player, ent, result });
+        }
+      }
+
+      // Falling or walking out of the level
+      if (this.outOfBounds(px, py, w, h)) {
+        result.die = true;
+      }
+
+      return result;
+    }
+
+    /**
+     * Stop the player against the given side of tile (tx, ty) if
+     * that side of the tile is solid.  A tile that is not solid on
+     * every side only stops a player who started the step outside
+     * the side, and the tile's contact callback may let the player
+     * through.
+     */
+    blockAt(player, tx, ty, side, result) {
+      const tile = Tiles.getTile(this.tileAt(tx, ty));
+      if (!tile.sides[side]) return;
+      const ts = this.tileSize;
+      const tileX = tx * ts;
+      const tileY = ty * ts;
+      if (!tile.blocksAll) {
+        const outside = {
+          top: player.y + player.height <= tileY,
+          bottom: player.y >= tileY + ts,
+          left: player.x + player.width <= tileX,
+          right: player.x >= tileX + ts,
+        };
+        if (!outside[side]) return;
+      }
+      if (tile.contact && tile.contact({ level: this, player, tx, ty, side, result }) === false) return;
+      if (side === 'left' && result.x > player.x) {
+        result.x = tileX - player.width;
+        player.velX = 0;
+        result.onWall = true;
+        result.wallDir = 1;
+        result.wallMaterial = tile.material;
+      } else if (side === 'right' && result.x < player.x) {
+        result.x = tileX + ts;
+        player.velX = 0;
+        result.onWall = true;
+        result.wallDir = -1;
+        result.wallMaterial = tile.material;
+      } else if (side === 'top' && result.y > player.y) {
+        result.y = tileY - player.height;
+        player.velY = 0;
+        result.onGround = true;
+        // when standing across two tiles the one under the middle
+        // of the player wins
+        const middle = result.x + player.width / 2;
+        if (!result.groundMaterial || (middle >= tileX && middle < tileX + ts)) {
+          result.groundMaterial = tile.material;
+        }
+      } else if (side === 'bottom' && result.y < player.y) {
+        result.y = tileY + ts;
+        player.velY = 0;
+      }
+    }
+
+    /**
+     * Push the player's box at the corrected position out of every
+     * solid entity it overlaps, through the first side (top, bottom,
+     * left, right) that blocks and that the player started the step
+     * outside of.  The entity's old and new positions both count, so
+     * a platform that moved into the player pushes it along.  A
+     * player already inside an entity (a crumbling block that has
+     * reappeared around it, say) is left alone.
+     */
+    blockEntities(player, result) {
+      const w = player.width;
+      const h = player.height;
+      const eps = 0.01;
+      for (const ent of this.entities) {
+        if (!ent.solid || ent.removed) continue;
+        if (!Entities.overlaps({ x: result.x, y: result.y, width: w, height: h }, ent)) continue;
+        const entityType = Entities.getEntityType(ent.type);
+        const outside = {
+          top: player.y + h <= Math.max(ent.y, ent.prevY) + eps,
+          bottom: player.y >= Math.min(ent.y, ent.prevY) + ent.height - eps,
+          left: player.x + w <= Math.max(ent.x, ent.prevX) + eps,
+          right: player.x >= Math.min(ent.x, ent.prevX) + ent.width - eps,
+        };
+        const side = Entities.SIDES.find((s) => outside[s] && entityType.sides[s]);
+        if (!side) continue;
+        if (entityType.contact && entityType.contact({ level: this, player, ent, side, result }) === false) continue;
+        if (side === 'top') {
+          result.y = ent.y - h;
+          if (player.velY > 0) player.velY = 0;
+          result.onGround = true;
+          result.groundMaterial = Tiles.DEFAULT_MATERIAL;
+        } else if (side === 'bottom') {
+          result.y = ent.y + ent.height;
+          if (player.velY < 0) player.velY = 0;
+        } else if (side === 'left') {
+          result.x = ent.x - w;
+          if (player.velX > 0) {
+            player.velX = 0;
+            result.onWall = true;
+            result.wallDir = 1;
+            result.wallMaterial = Tiles.DEFAULT_MATERIAL;
+          }
+        } else {
+          result.x = ent.x + ent.width;
+          if (player.velX < 0) {
+            player.velX = 0;
+            result.onWall = true;
+            result.wallDir = -1;
+            result.wallMaterial = Tiles.DEFAULT_MATERIAL;
+          }
+        }
+      }
+    }
+
+    /**
+     * Call the overlap callback of every tile the player's box at
+     * the corrected position overlaps or shares an edge with.
+     * Tiles meeting it only at a corner are left out.
+     */
+    overlapTiles(player, result) {
+      const ts = this.tileSize;
+      const { x, y } = result;
+      const w = player.width;
+      const h = player.height;
+      const left = Math.floor(x / ts);
+      const right = Math.floor((x + w - 1) / ts);
+      const top = Math.floor(y / ts);
+      const bottom = Math.floor((y + h - 1) / ts);
+      for (let ty = Math.floor((y - 1) / ts); ty <= Math.floor((y + h) / ts); ty++) {
+        for (let tx = Math.floor((x - 1) / ts); tx <= Math.floor((x + w) / ts); tx++) {
+          const inCols = tx >= left && tx <= right;
+          const inRows = ty >= top && ty <= bottom;
+          if (!inCols && !inRows) continue;
+          const tile = Tiles.getTile(this.tileAt(tx, ty));
+          if (tile.overlap) tile.overlap({ level: this, player, tx, ty, result });
+        }
+      }
+    }
+  }
+
+  /**
+   * A running attempt at one level.  Owns the Level and Player,
+   * built from source (anything Level accepts), advances them in
+   * fixed steps with the given input source and tracks elapsed
+   * simulated time and the run's outcome.  status is 'running'
+   * until the player dies ('dead') or reaches the flag ('won');
+   * after that step() does nothing until reset(), or respawn() when
+   * a checkpoint has been reached.  Every step's input is recorded
+   * so the run can be saved as a replay (set options.record to
+   * false to skip this, e.g. for searches).  Pass options.seed to
+   * make hazard randomness reproducible; a replay is only faithful
+   * when played back with the seed it was recorded with.
+   */
+  class Simulation {
+    constructor(source, input, options = {}) {
+      this.source = source;
+      this.input = input;
+      this.seed = options.seed === undefined ? null : options.seed >>> 0;
+      this.random = options.random || Math.random;
+      this.record = options.record !== false;
+      this.reset();
+    }
+
+    /**
+     * Rebuild the level from its map and respawn the player one
+     * tile above the spawn marker.  The seeded random source is
+     * recreated so a reset replays identically.
+     */
+    reset() {
+      const random = this.seed === null ? this.random : createRng(this.seed);
+      this.level = new Level(this.source, { random });
+      this.player = new Player(this.level.spawnX, this.level.spawnY - this.level.tileSize);
+      this.steps = 0;
+      this.time = 0;
+      this.coinsCollected = 0;
+      this.status = 'running';
+      this.inputLog = [];
+      // snapshot taken at the active checkpoint, or null
+      this.checkpoint = null;
+      this.checkpointsReached = 0;
+      this.respawns = 0;
+    }
+
+    /**
+     * Bring the player back after a death at the active checkpoint.
+     * Tiles, coins, keys, switch channels and restored entities
+     * (switches, gates and bridges) return to how they were when
+     * the checkpoint was reached, so blocks broken, keys picked up,
+     * doors opened and switches flipped since are back in place and
+     * coins picked up since can be collected again.  Time, the input
+     * log and the other entities carry on.  Returns false when no
+     * checkpoint has been reached.
+     */
+    respawn() {
+      const cp = this.checkpoint;
+      if (!cp) return false;
+      const ts = this.level.tileSize;
+      this.level.map = cp.map.map((row) => row.slice());
+      this.level.coins.forEach((coin, i) => {
+        coin.collected = cp.coins[i];
+      });
+      this.level.heldKeys = cp.heldKeys.slice();
+      this.level.channels = Object.assign({}, cp.channels);
+      this.restoredEntities().forEach((ent, i) => Object.assign(ent, cp.entities[i]));
+      this.coinsCollected = cp.coinsCollected;
+      this.player = new Player(cp.tx * ts, cp.ty * ts);
+      this.status = 'running';
+      this.respawns++;
+      return true;
+    }
+
+    /**
+     * The entities a checkpoint puts back, in level order.  They are
+     * never removed, so the order matches the snapshot's.
+     */
+    restoredEntities() {
+      return this.level.entities.filter((ent) => Entities.getEntityType(ent.type).restored);
+    }
+
+    /**
+     * Activate the checkpoint the player is touching, if it is not
+     * already the active one, and snapshot the level for respawn().
+     * Returns the checkpoint event or null.
+     */
+    touchCheckpoint() {
+      const { level, player } = this;
+      const cp = level.checkpointAt(player.x, player.y, player.width, player.height);
+      if (!cp || cp.active) return null;
+      for (const other of level.checkpoints) other.active = false;
+      cp.active = true;
+      if (!cp.reached) {
+        cp.reached = true;
+        this.checkpointsReached++;
+      }
+      this.checkpoint = {
+        tx: cp.tx,
+        ty: cp.ty,
+        map: level.map.map((row) => row.slice()),
+        coins: level.coins.map((coin) => coin.collected),
+        heldKeys: level.heldKeys.slice(),
+        channels: Object.assign({}, level.channels),
+        entities: this.restoredEntities().map((ent) => Object.assign({}, ent)),
+        coinsCollected: this.coinsCollected,
+      };
+      return { type: 'checkpoint', tx: cp.tx, ty: cp.ty };
+    }
+
+    /**
+     * Advance entities and the player by one fixed step.  Returns
+     * the events raised during the step: those of the entities
+     * ('switch', with the channel and whether it is now on), then
+     * the player's, and a 'checkpoint' event when a new checkpoint
+     * becomes active.
+     */
+    step() {
+      if (this.status !== 'running') return [];
+      if (this.input.nextStep) this.input.nextStep();
+      this.recordInput();
+      const dt = 60 / STEP_RATE;
+      this.steps++;
+      this.time = this.steps / STEP_RATE;
+      const events = this.level.updateEntities(dt).concat(this.player.update(dt, this.level, this.input));
+      for (const ev of events) {
+        if (ev.type === 'coin') {
+          this.coinsCollected++;
+        } else if (ev.type === 'death') {
+          this.status = 'dead';
+        } else if (ev.type === 'win') {
+          this.status = 'won';
+        }
+      }
+      if (this.status === 'running') {
+        const reached = this.touchCheckpoint();
+        if (reached) events.push(reached);
+      }
+      return events;
+    }
+
+    /**
+     * Branch the simulation: the copy has its own level and player
+     * state but shares the input source, which the caller is
+     * expected to drive.  Hazard speeds are fixed when the level is
+     * parsed, so branches stay deterministic.
+     */
+    clone() {
+      const copy = Object.assign(Object.create(Simulation.prototype), this);
+      copy.level = this.level.clone();
+      copy.player = this.player.clone();
+      copy.inputLog = this.inputLog.slice();
+      return copy;
+    }
+
+    /**
+     * Pack the input source's state for this step into the input
+     * log.  A queued jump is recorded here because the player
+     * always consumes it during the same step.
+     */
+    recordInput() {
+      if (!this.record) return;
+      this.inputLog.push(packInput(this.input));
+    }
+
+    /**
+     * Return the run so far as a replay: the seed, the number of
+     * steps, the simulated time and the run-length encoded input.
+     */
+    getReplay() {
+      return {
+        seed: this.seed,
+        steps: this.steps,
+        time: this.time,
+        frames: encodeFrames(this.inputLog),
+      };
+    }
+  }
+
+  return {
+    STEP_RATE,
+    createRng,
+    packInput,
+    encodeFrames,
+    decodeFrames,
+    InputState,
+    ReplayInput,
+    Player,
+    Level,
+    Simulation,
+  };
+});
@@ -0,0 +1,340 @@
+// tiles.js
+/*
+ * Tile registry.
+ *
+ * Every character that stays in a level's tile map is described by
+ * a tile type registered here: whether it is solid and on which
+ * sides, what happens when the player runs into it or touches it
+ * and how it is drawn.  Level collision and the renderer only ask
+ * the registry, so a new kind of tile needs one registerTile()
+ * call and no changes to the Level class.  A tile type is an
+ * object with:
+ *
+ *   char         the map character
+ *   name         a short label, used by the editor palette
+ *   description  what the tile does; for new tiles this is added to
+ *                the level format's LEGEND, so files using the
+ *                character validate and the editor offers it
+ *   solid        true when the player cannot pass through it
+ *   sides        for solid tiles, which sides block the player
+ *                ({ top, bottom, left, right }, all by default).  A
+ *                side only stops a player who starts the step
+ *                outside it, so a tile solid on top alone is a
+ *                platform that can be jumped up through.
+ *   material     for solid tiles, how the surface handles (see
+ *                DEFAULT_MATERIAL); only the fields that differ
+ *                from the default need to be given
+ *   contact(hit) called when a solid side stops the player; hit is
+ *                { level, player, tx, ty, side, result }.  Returning
+ *                false lets the player through instead.
+ *   overlap(hit) called every step while the player overlaps the
+ *                tile or touches one of its sides; hit is
+ *                { level, player, tx, ty, result }.
+ *   draw(ctx, x, y, size, colors)
+ *                draw the tile with its top left corner at (x, y)
+ *                on screen; colors is the level theme's palette.
+ *
+ * result is the collision result being built (see Level.collide):
+ * callbacks raise its die, win and bounce flags or add to broken,
+ * keys and opened.
+ * All callbacks are optional.  Characters the level turns into
+ * objects when it is parsed (the spawn, coins, checkpoints and
+ * entities) are not tiles.  Unregistered characters behave as
+ * empty space.
+ *
+ * The module has no DOM dependency; drawing only uses the context
+ * it is given.  In the browser it is exposed as window.PlatformerTiles
+ * and expects levelformat.js to be loaded first; under CommonJS it
+ * requires levelformat.js itself.
+ */
+
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./levelformat.js'));
+  } else {
+    root.PlatformerTiles = factory(root.PlatformerLevelFormat);
+  }
+})(typeof self !== 'undefined' ? self : this, function (LevelFormat) {
+  const SIDES = ['top', 'bottom', 'left', 'right'];
+
+  /**
+   * The surface of ordinary solid tiles.  accel scales the player's
+   * acceleration while standing on it and friction is the share of
+   * speed kept per 1/60th of a second when there is no input.
+   * conveyor is a speed in pixels per 1/60th of a second added to
+   * anything standing on it.  A sticky wall holds a player pressing
+   * into it in place instead of letting them fall, and wallJump
+   * false stops wall jumps off it.  Level.collide reports the
+   * material under and beside the player.
+   */
+  const DEFAULT_MATERIAL = {
+    name: 'normal',
+    accel: 1,
+    friction: 0.8,
+    conveyor: 0,
+    sticky: false,
+    wallJump: true,
+  };
+
+  /**
+   * Registered tile types by character.
+   */
+  const TILES = {};
+
+  /**
+   * Add a tile type, or replace the one registered for its
+   * character.  Returns the stored type with its defaults filled
+   * in.
+   */
+  function registerTile(def) {
+    if (typeof def.char !== 'string' || def.char.length !== 1) {
+      throw new Error('A tile type needs a single-character "char".');
+    }
+    const sides = {};
+    for (const side of SIDES) {
+      sides[side] = !!def.solid && (!def.sides || !!def.sides[side]);
+    }
+    const material = Object.assign({}, DEFAULT_MATERIAL, def.material);
+    const tile = Object.assign({ name: def.char, solid: false }, def, { sides, material });
+    // tiles stopping the player on every side skip the check of
+    // where the step started
+    tile.blocksAll = SIDES.every((side) => sides[side]);
+    TILES[tile.char] = tile;
+    if (def.description) LevelFormat.LEGEND[tile.char] = def.description;
+    return tile;
+  }
+
+  // stands in for unregistered characters
+  const EMPTY = registerTile({ char: ' ', name: 'Empty' });
+
+  /**
+   * The tile type for a map character.
+   */
+  function getTile(ch) {
+    return TILES[ch] || EMPTY;
+  }
+
+  registerTile({
+    char: '#',
+    name: 'Wall',
+    solid: true,
+    draw(ctx, x, y, size, colors) {
+      ctx.fillStyle = colors.wall;
+      ctx.fillRect(x, y, size, size);
+    },
+  });
+
+  registerTile({
+    char: 'S',
+    name: 'Spikes',
+    overlap(hit) {
+      hit.result.die = true;
+    },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#b00';
+      ctx.fillRect(x + size * 0.2, y + size * 0.2, size * 0.6, size * 0.6);
+    },
+  });
+
+  registerTile({
+    char: 'B',
+    name: 'Bounce',
+    solid: true,
+    contact(hit) {
+      if (hit.side === 'top') hit.result.bounce = true;
+    },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#37f';
+      ctx.fillRect(x + size * 0.1, y + size * 0.1, size * 0.8, size * 0.8);
+    },
+  });
+
+  registerTile({
+    char: 'X',
+    name: 'Breakable',
+    solid: true,
+    // a diving player breaks the block and carries on
+    contact(hit) {
+      const { level, player, tx, ty, result } = hit;
+      if (!player.dive || player.velY <= 0) return true;
+      level.map[ty][tx] = ' ';
+      result.broken.push({ tx, ty });
+      return false;
+    },
+    draw(ctx, x, y, size, colors) {
+      ctx.fillStyle = colors.breakable;
+      ctx.fillRect(x, y, size, size);
+    },
+  });
+
+  registerTile({
+    char: 'F',
+    name: 'Flag',
+    overlap(hit) {
+      hit.result.win = true;
+    },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#fd0';
+      ctx.beginPath();
+      ctx.moveTo(x + size * 0.2, y + size);
+      ctx.lineTo(x + size * 0.8, y + size * 0.5);
+      ctx.lineTo(x + size * 0.2, y + size * 0.2);
+      ctx.closePath();
+      ctx.fill();
+    },
+  });
+
+  registerTile({
+    char: 'I',
+    name: 'Ice',
+    solid: true,
+    material: { name: 'ice', accel: 0.3, friction: 0.98 },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#9cd8ee';
+      ctx.fillRect(x, y, size, size);
+      ctx.fillStyle = '#e4f6fc';
+      ctx.fillRect(x, y, size, size * 0.15);
+      ctx.fillRect(x + size * 0.2, y + size * 0.35, size * 0.3, size * 0.08);
+    },
+  });
+
+  // conveyor belts: an arrow on top shows which way they carry
+  for (const [char, dir] of [
+    ['<', -1],
+    ['>', 1],
+  ]) {
+    registerTile({
+      char,
+      name: dir < 0 ? 'Conveyor <' : 'Conveyor >',
+      solid: true,
+      material: { name: 'conveyor', conveyor: dir * 2 },
+      draw(ctx, x, y, size) {
+        ctx.fillStyle = '#3a3a44';
+        ctx.fillRect(x, y, size, size);
+        ctx.fillStyle = '#cc4';
+        const tip = dir > 0 ? x + size * 0.8 : x + size * 0.2;
+        const tail = dir > 0 ? x + size * 0.3 : x + size * 0.7;
+        ctx.beginPath();
+        ctx.moveTo(tail, y + size * 0.1);
+        ctx.lineTo(tip, y + size * 0.3);
+        ctx.lineTo(tail, y + size * 0.5);
+        ctx.closePath();
+        ctx.fill();
+      },
+    });
+  }
+
+  registerTile({
+    char: 'G',
+    name: 'Sticky',
+    solid: true,
+    material: { name: 'sticky', sticky: true },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#5a8a2e';
+      ctx.fillRect(x, y, size, size);
+      // drips
+      ctx.fillStyle = '#8c4';
+      ctx.fillRect(x + size * 0.15, y, size * 0.15, size * 0.45);
+      ctx.fillRect(x + size * 0.6, y, size * 0.15, size * 0.3);
+    },
+  });
+
+  registerTile({
+    char: 'N',
+    name: 'Slick',
+    solid: true,
+    material: { name: 'slick', wallJump: false },
+    draw(ctx, x, y, size) {
+      ctx.fillStyle = '#9aa3b0';
+      ctx.fillRect(x, y, size, size);
+      ctx.fillStyle = '#d6dce4';
+      ctx.fillRect(x + size * 0.1, y + size * 0.1, size * 0.1, size * 0.8);
+    },
+  });
+
+  /**
+   * Key colours by name.  Each has a key (its map character in
+   * lower case) and doors that key opens (upper case).
+   */
+  const KEY_COLORS = {
+    red: { char: 'r', color: '#e33' },
+    yellow: { char: 'y', color: '#fd3' },
+    aqua: { char: 'a', color: '#3de' },
+  };
+
+  /**
+   * Clear the door at (tx, ty) and every door tile of the same
+   * character joined to it, so a door several tiles tall opens at
+   * once.
+   */
+  function openDoor(level, tx, ty) {
+    const ch = level.map[ty][tx];
+    const queue = [[tx, ty]];
+    level.map[ty][tx] = ' ';
+    while (queue.length > 0) {
+      const [x, y] = queue.pop();
+      for (const [nx, ny] of [
+        [x - 1, y],
+        [x + 1, y],
+        [x, y - 1],
+        [x, y + 1],
+      ]) {
+        if (ny >= 0 && ny < level.rows && nx >= 0 && nx < level.cols && level.map[ny][nx] === ch) {
+          level.map[ny][nx] = ' ';
+          queue.push([nx, ny]);
+        }
+      }
+    }
+  }
+
+  for (const name of Object.keys(KEY_COLORS)) {
+    const { char, color } = KEY_COLORS[name];
+    const label = name[0].toUpperCase() + name.slice(1);
+    // picked up on touch and kept until the level restarts
+    registerTile({
+      char,
+      name: `${label} key`,
+      keyColor: name,
+      overlap(hit) {
+        const { level, tx, ty, result } = hit;
+        level.map[ty][tx] = ' ';
+        level.heldKeys.push(name);
+        result.keys.push({ color: name, tx, ty });
+      },
+      draw(ctx, x, y, size) {
+        ctx.fillStyle = color;
+        ctx.beginPath();
+        ctx.arc(x + size * 0.35, y + size * 0.5, size * 0.15, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(x + size * 0.45, y + size * 0.45, size * 0.35, size * 0.1);
+        ctx.fillRect(x + size * 0.7, y + size * 0.5, size * 0.08, size * 0.15);
+      },
+    });
+    // solid until run into with the matching key; standing on one
+    // does not open it
+    registerTile({
+      char: char.toUpperCase(),
+      name: `${label} door`,
+      solid: true,
+      contact(hit) {
+        const { level, tx, ty, side, result } = hit;
+        if (side === 'top' || !level.heldKeys.includes(name)) return true;
+        openDoor(level, tx, ty);
+        result.opened.push({ color: name, tx, ty });
+        return false;
+      },
+      draw(ctx, x, y, size) {
+        ctx.fillStyle = color;
+        ctx.fillRect(x + size * 0.1, y, size * 0.8, size);
+        // keyhole
+        ctx.fillStyle = '#222';
+        ctx.beginPath();
+        ctx.arc(x + size * 0.5, y + size * 0.42, size * 0.08, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillRect(x + size * 0.46, y + size * 0.45, size * 0.08, size * 0.18);
+      },
+    });
+  }
+
+  return { SIDES, DEFAULT_MATERIAL, KEY_COLORS, TILES, registerTile, getTile };
+});